@@ -13,15 +13,75 @@
   const CONFIG = {
     version: '1.0.2',
     apiBase: '/api/content',
+    siteId: null, // Recorded in exports to tell sites apart; defaults to the hostname
     storageKey: 'globalSnippetsData',
+    indexedDBName: 'globalSnippets',
+    syncStateKey: 'globalSnippetsSyncState',
+    syncQueueKey: 'globalSnippetsSyncQueue',
+    broadcastChannel: 'globalSnippets',
+    broadcastKey: 'globalSnippetsChange',
+    visitorKey: 'globalSnippetsVisitor', // Remembers returning visitors for firstVisit targeting rules
+    experimentKey: 'globalSnippetsExperiments', // Visitor id and A/B variant assignments, also kept in a cookie
+    forcedVariantsKey: 'globalSnippetsForcedVariants', // Variants forced for preview in this browser
+    usageKey: 'globalSnippetsUsage', // Result of the last "where used" scan of the site
+    sitemapPath: '/sitemap.xml', // Lists the pages the usage scan reads
+    usageScanMaxPages: 500, // Sitemap pages past this many are left out of the usage scan
+    syncRetryBaseDelay: 2000,
+    syncRetryMaxDelay: 5 * 60 * 1000,
+    cacheTtl: 5 * 60 * 1000, // How long the local copy counts as fresh before it is checked against the remote one
     snippetAttribute: 'data-global-snippet-id',
     snippetVersionAttribute: 'data-global-snippet-version',
+    snippetLocaleAttribute: 'data-global-snippet-locale', // Set when a translation was rendered
+    variableAttributePrefix: 'data-var-',
+    lazyAttribute: 'data-global-snippet-lazy', // Render when scrolled near; a value such as "320px" sets the reserved height
+    lazyRootMargin: '200px', // How far outside the viewport lazy containers start rendering
+    lazyPlaceholderHeight: '150px', // Height reserved in empty lazy containers until they render
     debugMode: true, // Set to true by default for easier debugging
     autoSave: true,
     autoSaveDelay: 2000,
-    maxVersionHistory: 10
+    maxDiffCells: 1000000, // Larger version diffs show the changed lines as one removed and one added block
+    maxVersionHistory: 10,
+    maxNestingDepth: 5,
+    scheduleTimezone: null, // IANA zone for version schedules without their own; null uses the visitor's clock
+    runScriptsInEditor: false, // Scripts of snippets with "Run Scripts" on only run on the live site by default
+    scriptNonce: null, // CSP nonce for executed scripts; defaults to the nonce of the tag that loaded this file
+    // Storage adapters by name (see StorageAdapters); set remote to null to keep snippets local only
+    storage: {
+      local: 'indexedDB',
+      remote: 'squarespace',
+      options: {} // Per-adapter options keyed by adapter name, e.g. { rest: { baseUrl: '/snippets' } }
+    },
+    adapters: {}, // Custom adapter factories to register, keyed by name
+    // Translations of snippets on the live site (see Localization)
+    locales: {
+      default: 'en', // Language of each snippet's main content
+      supported: [], // Site locales; also the URL prefixes recognised, e.g. /fr/... Empty accepts any xx or xx-yy prefix
+      fallbacks: {} // Tried after a locale itself, e.g. { 'fr-ca': ['fr'], 'gsw': ['de'] }, then its language, then the default
+    },
+    // Applied to snippet HTML at render time (see Sanitizer). Use '*' for
+    // allowedTags or an allowedAttributes entry to allow anything there.
+    sanitizer: {
+      enabled: true,
+      strict: true, // Always strip on* attributes and javascript:/vbscript: URLs
+      // Keep every tag and attribute by default (iframes, styles, SVG, forms...);
+      // narrow these down to an allow-list for a tighter policy
+      allowedTags: '*',
+      // Removed with their content, even when allowedTags is '*'; other
+      // disallowed tags are unwrapped
+      droppedTags: ['script', 'base', 'meta'],
+      allowedAttributes: { '*': '*' }
+    }
   };
 
+  // Site-level overrides, e.g. window.globalSnippetsConfig = { storage: { remote: 'rest' } }
+  if (window.globalSnippetsConfig) {
+    const { storage, sanitizer, locales, ...overrides } = window.globalSnippetsConfig;
+    Object.assign(CONFIG, overrides);
+    CONFIG.storage = { ...CONFIG.storage, ...storage };
+    CONFIG.sanitizer = { ...CONFIG.sanitizer, ...sanitizer };
+    CONFIG.locales = { ...CONFIG.locales, ...locales };
+  }
+
   // Utility functions
   const Utils = {
     debounce(func, wait) {
@@ -36,10 +96,18 @@
       };
     },
 
+    generateRevision() {
+      return Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+    },
+
     generateId() {
       return 'snippet_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     },
 
+    generateVersionId() {
+      return 'ver_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+    },
+
     formatDate(date) {
       return new Date(date).toLocaleString('en-US', {
         month: 'short',
@@ -50,10 +118,192 @@
       });
     },
 
+    // 32-bit FNV-1a of a string, as an unsigned integer
+    hashString(value) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    },
+
+    formatBytes(bytes) {
+      if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(2)} KB`;
+      }
+      if (bytes < 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+      }
+      return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    },
+
     sanitizeSnippetId(id) {
       return id.toLowerCase().replace(/[^a-z0-9-_]/g, '-');
     },
 
+    escapeHtml(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    },
+
+    // CSS attribute selector that matches value exactly, whatever characters it holds
+    attributeSelector(name, value) {
+      return `[${name}="${String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"]`;
+    },
+
+    // Milliseconds for a schedule time. Values ending in Z or an offset are
+    // absolute; wall-clock values such as '2025-12-01T09:00' are read in
+    // timeZone, or in the visitor's own zone when there is none.
+    parseScheduleTime(value, timeZone) {
+      if (!value) return null;
+
+      if (!timeZone || /(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+      }
+
+      const wallTime = Date.parse(`${value.length === 16 ? `${value}:00` : value}Z`);
+      if (isNaN(wallTime)) return null;
+
+      try {
+        // Check the offset again at the result to get DST changeovers right
+        const offset = Utils.timeZoneOffset(wallTime, timeZone);
+        const time = wallTime - offset;
+        const corrected = Utils.timeZoneOffset(time, timeZone);
+        return corrected === offset ? time : wallTime - corrected;
+      } catch (e) {
+        Utils.error(`Unknown time zone "${timeZone}", using local time`, e);
+        return new Date(value).getTime();
+      }
+    },
+
+    // IANA zone names such as 'Europe/London' that this browser knows
+    isValidTimeZone(timeZone) {
+      try {
+        new Intl.DateTimeFormat(undefined, { timeZone });
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    // How far the zone's wall clock is ahead of UTC at an instant, in milliseconds
+    timeZoneOffset(time, timeZone) {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }).formatToParts(new Date(time));
+      const get = type => Number(parts.find(part => part.type === type).value);
+      const wallTime = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+      return wallTime - Math.floor(time / 1000) * 1000;
+    },
+
+    // One tag per line, so a diff of single-line HTML still points at what changed
+    splitHtmlLines(html) {
+      return (html || '').replace(/>\s*</g, '>\n<').split('\n');
+    },
+
+    // Line diff: [{ type: 'same' | 'removed' | 'added', text }]. Lines shared
+    // at the start and end are trimmed first; the rest is diffed by longest
+    // common subsequence, or shown as removed then added in one block when its
+    // table would exceed CONFIG.maxDiffCells
+    diffLines(before, after) {
+      let start = 0;
+      while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+      }
+      let end = 0;
+      while (end < before.length - start && end < after.length - start &&
+          before[before.length - 1 - end] === after[after.length - 1 - end]) {
+        end++;
+      }
+
+      const removed = before.slice(start, before.length - end);
+      const added = after.slice(start, after.length - end);
+      const middle = (removed.length + 1) * (added.length + 1) > CONFIG.maxDiffCells
+        ? [...removed.map(text => ({ type: 'removed', text })), ...added.map(text => ({ type: 'added', text }))]
+        : Utils.lcsDiff(removed, added);
+
+      return [
+        ...before.slice(0, start).map(text => ({ type: 'same', text })),
+        ...middle,
+        ...before.slice(before.length - end).map(text => ({ type: 'same', text }))
+      ];
+    },
+
+    lcsDiff(before, after) {
+      const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+      for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+          lengths[i][j] = before[i] === after[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+
+      const diff = [];
+      let i = 0;
+      let j = 0;
+      while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+          diff.push({ type: 'same', text: before[i] });
+          i++;
+          j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+          diff.push({ type: 'removed', text: before[i++] });
+        } else {
+          diff.push({ type: 'added', text: after[j++] });
+        }
+      }
+      while (i < before.length) diff.push({ type: 'removed', text: before[i++] });
+      while (j < after.length) diff.push({ type: 'added', text: after[j++] });
+      return diff;
+    },
+
+    // Placeholders look like {{headline}} or {{ cta-url }}. Names are
+    // case-insensitive, because HTML lowercases data-var-* attribute names
+    templatePattern: /\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g,
+
+    extractTemplateVariables(html) {
+      const names = new Set();
+      for (const match of (html || '').matchAll(Utils.templatePattern)) {
+        names.add(match[1].toLowerCase());
+      }
+      return Array.from(names);
+    },
+
+    // The same values keyed by lowercased name
+    templateValues(variables = {}) {
+      const values = {};
+      Object.keys(variables).forEach(name => {
+        values[name.toLowerCase()] = variables[name];
+      });
+      return values;
+    },
+
+    renderTemplate(html, variables = {}) {
+      const values = Utils.templateValues(variables);
+      return (html || '').replace(Utils.templatePattern, (placeholder, name) => {
+        const key = name.toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(values, key)) {
+          Utils.log(`No value for template variable: ${name}`);
+          return '';
+        }
+        return Utils.escapeHtml(values[key]);
+      });
+    },
+
     log(...args) {
       if (CONFIG.debugMode) {
         console.log('[Global Snippets]', ...args);
@@ -62,469 +312,3495 @@
 
     error(...args) {
       console.error('[Global Snippets Error]', ...args);
+      Events.emit('error', {
+        message: String(args[0]),
+        error: args.find(arg => arg instanceof Error) || null
+      });
     }
   };
 
-  // Storage Manager - handles both localStorage and API
-  class StorageManager {
-    constructor() {
-      this.cache = null;
-      this.syncInProgress = false;
+  // DOM events for site scripts. globalsnippet:rendered is dispatched on the
+  // container and bubbles; the others are dispatched on document.
+  const Events = {
+    prefix: 'globalsnippet:',
+    types: ['rendered', 'saved', 'deleted', 'error', 'exposure'],
+
+    emit(type, detail, target = document) {
+      target.dispatchEvent(new CustomEvent(this.prefix + type, { detail, bubbles: true }));
     }
+  };
 
-    async getAllSnippets() {
-      if (this.cache) {
-        return this.cache;
+  // Cleans snippet HTML against the CONFIG.sanitizer allow-list before it is
+  // injected. Parsing happens in an inert <template>, so nothing loads or runs
+  // while the markup is being checked.
+  const Sanitizer = {
+    // SVG <animate>/<set> can write a URL into href through to/from/values
+    urlAttributes: ['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href', 'data', 'to', 'from', 'values'],
+
+    sanitize(html, policy = CONFIG.sanitizer) {
+      if (!policy || policy.enabled === false) {
+        return html;
       }
 
-      try {
-        // Try to get from API first
-        const apiData = await this.fetchFromAPI();
-        if (apiData) {
-          this.cache = apiData;
-          this.saveToLocalStorage(apiData);
-          return apiData;
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      this.cleanChildren(template.content, policy);
+      return template.innerHTML;
+    },
+
+    cleanChildren(parent, policy) {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+          node.remove();
+          return;
         }
-      } catch (e) {
-        Utils.log('API fetch failed, using localStorage', e);
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          return;
+        }
+
+        const tag = node.localName;
+        if ((policy.droppedTags || []).includes(tag)) {
+          node.remove();
+          return;
+        }
+        if (!this.matches(policy.allowedTags, tag)) {
+          this.cleanChildren(node, policy);
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+
+        this.cleanAttributes(node, policy);
+        this.cleanChildren(node.content || node, policy);
+      });
+    },
+
+    cleanAttributes(element, policy) {
+      const allowed = policy.allowedAttributes || {};
+      const tag = element.localName;
+
+      Array.from(element.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        const permitted = this.matches(allowed['*'], name) || this.matches(allowed[tag], name);
+        const unsafe = policy.strict && (
+          name.startsWith('on') ||
+          name === 'srcdoc' ||
+          (this.urlAttributes.includes(name) && this.isScriptUrl(attr.value))
+        );
+
+        if (!permitted || unsafe) {
+          element.removeAttribute(attr.name);
+        }
+      });
+    },
+
+    // The same policy, but keeping <script> tags for snippets allowed to run them
+    allowScripts(policy) {
+      if (!policy || policy.enabled === false) {
+        return policy;
       }
 
-      // Fallback to localStorage
-      const localData = this.loadFromLocalStorage();
-      this.cache = localData;
-      return localData;
+      const allowedAttributes = policy.allowedAttributes || {};
+      return {
+        ...policy,
+        allowedTags: policy.allowedTags === '*' ? '*' : [...(policy.allowedTags || []), 'script'],
+        droppedTags: (policy.droppedTags || []).filter(tag => tag !== 'script'),
+        allowedAttributes: {
+          ...allowedAttributes,
+          script: allowedAttributes.script || ['src', 'type', 'async', 'defer', 'nomodule', 'crossorigin', 'integrity', 'referrerpolicy', 'charset']
+        }
+      };
+    },
+
+    // Entries ending in * match by prefix (data-*); '*' on its own matches anything
+    matches(list, name) {
+      if (list === '*') return true;
+      return (list || []).some(pattern => (pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : pattern === name));
+    },
+
+    // Browsers ignore whitespace and control characters inside the scheme,
+    // srcset holds several URLs and SVG values a ;-separated list
+    isScriptUrl(value) {
+      const compact = value.replace(/[\u0000-\u0020]/g, '').toLowerCase();
+      return /(^|[,;])(javascript|vbscript):/.test(compact);
     }
+  };
 
-    async saveSnippet(snippetId, data) {
-      const allSnippets = await this.getAllSnippets();
-      
-      if (!allSnippets[snippetId]) {
-        allSnippets[snippetId] = {
-          id: snippetId,
-          versions: [],
-          currentVersion: 0
-        };
+  // Runs the <script> tags of snippets that opted in. Scripts set through
+  // innerHTML never execute, so each one is re-created in document order,
+  // waiting for external scripts to load before the next one runs.
+  const ScriptRunner = {
+    // Containers -> scripts already run there, so a re-render doesn't repeat them
+    executed: new WeakMap(),
+    // External script URLs loaded on this page
+    loaded: new Set(),
+    pageNonce: document.currentScript ? document.currentScript.nonce || document.currentScript.getAttribute('nonce') : null,
+    scriptTypes: ['', 'text/javascript', 'application/javascript', 'module'],
+
+    async run(container) {
+      const done = this.executed.get(container) || new Set();
+      this.executed.set(container, done);
+
+      // Scripts inside nested containers belong to those snippets
+      const scripts = Array.from(container.querySelectorAll('script'))
+        .filter(script => script.parentElement.closest(`[${CONFIG.snippetAttribute}]`) === container)
+        .filter(script => this.scriptTypes.includes((script.getAttribute('type') || '').trim().toLowerCase()));
+
+      for (const original of scripts) {
+        const key = original.src ? `src:${original.src}` : `inline:${original.textContent}`;
+        if (done.has(key)) continue;
+        done.add(key);
+
+        if (original.src && this.isLoaded(original.src)) {
+          Utils.log(`Script already loaded: ${original.src}`);
+          continue;
+        }
+
+        await this.execute(original);
       }
+    },
 
-      const snippet = allSnippets[snippetId];
-      const newVersion = {
-        version: snippet.versions.length,
-        html: data.html,
-        timestamp: new Date().toISOString(),
-        author: data.author || 'unknown'
-      };
+    execute(original) {
+      const script = document.createElement('script');
+      Array.from(original.attributes).forEach(attr => script.setAttribute(attr.name, attr.value));
+      script.textContent = original.textContent;
 
-      snippet.versions.push(newVersion);
-      snippet.currentVersion = newVersion.version;
+      const nonce = CONFIG.scriptNonce || this.pageNonce;
+      if (nonce) {
+        script.nonce = nonce;
+      }
 
-      // Keep only last N versions
-      if (snippet.versions.length > CONFIG.maxVersionHistory) {
-        snippet.versions = snippet.versions.slice(-CONFIG.maxVersionHistory);
+      if (!original.src) {
+        original.replaceWith(script);
+        return Promise.resolve();
       }
 
-      this.cache = allSnippets;
-      this.saveToLocalStorage(allSnippets);
+      this.loaded.add(original.src);
+      script.async = original.hasAttribute('async');
+
+      return new Promise(resolve => {
+        script.addEventListener('load', resolve);
+        script.addEventListener('error', () => {
+          Utils.error(`Failed to load script: ${original.src}`);
+          resolve();
+        });
+        original.replaceWith(script);
 
-      // Async save to API
-      this.saveToAPI(allSnippets).catch(e => {
-        Utils.error('Failed to save to API', e);
+        // Async scripts don't hold up the ones after them
+        if (script.async) resolve();
       });
+    },
 
-      return newVersion;
+    // Also counts scripts the page itself loaded outside snippet containers
+    isLoaded(src) {
+      return this.loaded.has(src) || Array.from(document.scripts).some(script =>
+        script.src === src && !script.closest(`[${CONFIG.snippetAttribute}]`)
+      );
     }
+  };
 
-    async deleteSnippet(snippetId) {
-      const allSnippets = await this.getAllSnippets();
-      delete allSnippets[snippetId];
-      
-      this.cache = allSnippets;
-      this.saveToLocalStorage(allSnippets);
-      
-      await this.saveToAPI(allSnippets);
-    }
+  // Decides on the live site whether a visitor sees a snippet. A snippet's
+  // targeting is { match: 'all' | 'any', rules: [...], fallback, fallbackVersion };
+  // a rule with its own match and rules is a nested group.
+  const Targeting = {
+    ruleTypes: ['path', 'query', 'referrer', 'media', 'cookie', 'firstVisit'],
+    firstVisit: null,
 
-    async restoreVersion(snippetId, versionNumber) {
-      const allSnippets = await this.getAllSnippets();
-      const snippet = allSnippets[snippetId];
-      
-      if (!snippet || !snippet.versions[versionNumber]) {
-        throw new Error('Version not found');
+    matches(group) {
+      const rules = (group && group.rules) || [];
+      if (rules.length === 0) return true;
+
+      const test = rule => (rule.rules ? this.matches(rule) : this.matchRule(rule));
+      return group.match === 'any' ? rules.some(test) : rules.every(test);
+    },
+
+    matchRule(rule) {
+      switch (rule.type) {
+        case 'path':
+          return this.globToRegExp(rule.value || '').test(window.location.pathname);
+        case 'query': {
+          const params = new URLSearchParams(window.location.search);
+          return params.has(rule.name) && (!rule.value || params.getAll(rule.name).includes(rule.value));
+        }
+        case 'referrer': {
+          // An empty pattern matches visits without a referrer
+          if (!rule.value) return !document.referrer;
+          try {
+            return this.globToRegExp(rule.value, '.').test(new URL(document.referrer).hostname);
+          } catch (e) {
+            return false;
+          }
+        }
+        case 'media':
+          return !!window.matchMedia && window.matchMedia(rule.value).matches;
+        case 'cookie': {
+          const cookie = this.getCookies().find(([name]) => name === rule.name);
+          return !!cookie && (!rule.value || cookie[1] === rule.value);
+        }
+        case 'firstVisit':
+          return this.isFirstVisit() === (rule.value !== false);
+        default:
+          Utils.error(`Unknown targeting rule: ${rule.type}`);
+          return false;
       }
+    },
 
-      snippet.currentVersion = versionNumber;
-      
-      this.cache = allSnippets;
-      this.saveToLocalStorage(allSnippets);
-      await this.saveToAPI(allSnippets);
+    // '*' matches within one separator-delimited part, '**' across them and '?' one character
+    globToRegExp(glob, separator = '/') {
+      const part = `[^${separator}]`;
+      const pattern = glob.replace(/\*\*|\*|\?|[.+^${}()|[\]\\/]/g, token => {
+        if (token === '**') return '.*';
+        if (token === '*') return `${part}*`;
+        if (token === '?') return part;
+        return `\\${token}`;
+      });
+      return new RegExp(`^${pattern}$`, 'i');
+    },
 
-      return snippet.versions[versionNumber];
-    }
+    getCookies() {
+      return document.cookie.split(';')
+        .map(cookie => cookie.trim())
+        .filter(Boolean)
+        .map(cookie => {
+          const index = cookie.indexOf('=');
+          const name = index === -1 ? cookie : cookie.slice(0, index);
+          const value = index === -1 ? '' : cookie.slice(index + 1);
+          try {
+            return [decodeURIComponent(name), decodeURIComponent(value)];
+          } catch (e) {
+            return [name, value];
+          }
+        });
+    },
+
+    // A visitor counts as new for their whole first session
+    isFirstVisit() {
+      if (this.firstVisit !== null) return this.firstVisit;
 
-    loadFromLocalStorage() {
       try {
-        const data = localStorage.getItem(CONFIG.storageKey);
-        return data ? JSON.parse(data) : {};
+        const session = sessionStorage.getItem(CONFIG.visitorKey);
+        this.firstVisit = session !== null ? session === 'new' : !localStorage.getItem(CONFIG.visitorKey);
+        sessionStorage.setItem(CONFIG.visitorKey, this.firstVisit ? 'new' : 'returning');
+        localStorage.setItem(CONFIG.visitorKey, String(Date.now()));
       } catch (e) {
-        Utils.error('Failed to load from localStorage', e);
-        return {};
+        this.firstVisit = true;
       }
+      return this.firstVisit;
+    },
+
+    // Media queries used anywhere in the rules, so their changes can trigger a re-render
+    mediaQueries(group) {
+      return ((group && group.rules) || []).flatMap(rule => {
+        if (rule.rules) return this.mediaQueries(rule);
+        return rule.type === 'media' && rule.value ? [rule.value] : [];
+      });
     }
+  };
 
-    saveToLocalStorage(data) {
-      try {
-        localStorage.setItem(CONFIG.storageKey, JSON.stringify(data));
-        Utils.log('Saved to localStorage');
-      } catch (e) {
-        Utils.error('Failed to save to localStorage', e);
+  // A/B experiments on the live site. A snippet's experiment is
+  // { id, variants: [{ versionId, weight }], startedAt }; each visitor gets a
+  // random id, is bucketed by a hash of it and keeps the variant they got.
+  const Experiments = {
+    state: null,
+    reported: new Set(),
+
+    // The variant this visitor sees, or null without a running experiment
+    variantFor(snippetId, snippet) {
+      const experiment = snippet.experiment;
+      if (!experiment || !experiment.variants || experiment.variants.length === 0) return null;
+
+      const find = versionId => snippet.versions.find(version => version.id === versionId) || null;
+      const forced = this.getForced()[snippetId];
+      if (forced && find(forced)) {
+        return { version: find(forced), forced: true };
       }
-    }
 
-    async fetchFromAPI() {
-      try {
-        // Get CSRF token
-        const csrfToken = this.getCsrfToken();
-        
-        // Fetch from Squarespace collection
-        const response = await fetch(`${CONFIG.apiBase}/global-snippets?format=json`, {
-          headers: {
-            'Accept': 'application/json',
-            'X-CSRF-Token': csrfToken
-          }
-        });
+      const state = this.loadState();
+      const variantIds = experiment.variants.map(variant => variant.versionId);
+      let versionId = state.assignments[experiment.id];
 
-        if (!response.ok) {
-          throw new Error(`API returned ${response.status}`);
-        }
+      if (!variantIds.includes(versionId) || !find(versionId)) {
+        versionId = this.pick(experiment.variants, this.hash(`${state.visitorId}:${experiment.id}`));
+        state.assignments[experiment.id] = versionId;
+        this.saveState();
+      }
 
-        const data = await response.json();
-        Utils.log('Fetched from API', data);
-        
-        // Parse the data structure from Squarespace
-        return this.parseAPIResponse(data);
-      } catch (e) {
-        Utils.log('API fetch error', e);
-        return null;
+      const version = find(versionId);
+      return version ? { version, forced: false } : null;
+    },
+
+    // bucket is in [0, 1); variants take up slices of it proportional to their weight
+    pick(variants, bucket) {
+      const total = variants.reduce((sum, variant) => sum + Math.max(Number(variant.weight) || 0, 0), 0);
+      let threshold = bucket * total;
+
+      for (const variant of variants) {
+        threshold -= Math.max(Number(variant.weight) || 0, 0);
+        if (threshold < 0) return variant.versionId;
       }
-    }
+      return variants[variants.length - 1].versionId;
+    },
 
-    async saveToAPI(data) {
-      if (this.syncInProgress) {
-        Utils.log('Sync already in progress, skipping');
-        return;
+    // Scaled to [0, 1)
+    hash(value) {
+      return Utils.hashString(value) / 0x100000000;
+    },
+
+    // Announce once per page and experiment that this visitor saw their variant
+    reportExposure(snippetId, snippet, version) {
+      const experiment = snippet.experiment;
+      if (this.reported.has(experiment.id)) return;
+      this.reported.add(experiment.id);
+
+      const detail = {
+        snippetId,
+        experimentId: experiment.id,
+        versionId: version.id,
+        variant: `v${version.version}`
+      };
+      Events.emit('exposure', detail);
+      if (Array.isArray(window.dataLayer)) {
+        window.dataLayer.push({ event: 'globalsnippet_exposure', ...detail });
       }
+      Utils.log(`Experiment exposure: ${snippetId} ${detail.variant}`);
+    },
 
-      this.syncInProgress = true;
+    // localStorage first, then the cookie, so the id survives either being cleared
+    loadState() {
+      if (this.state) return this.state;
 
+      let state = null;
       try {
-        const csrfToken = this.getCsrfToken();
-        
-        const response = await fetch(`${CONFIG.apiBase}/global-snippets`, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'X-CSRF-Token': csrfToken
-          },
-          body: JSON.stringify({
-            snippets: data,
-            timestamp: new Date().toISOString()
-          })
-        });
+        state = JSON.parse(localStorage.getItem(CONFIG.experimentKey));
+      } catch (e) {
+        state = null;
+      }
 
-        if (!response.ok) {
-          throw new Error(`API save failed: ${response.status}`);
-        }
+      const cookie = Targeting.getCookies().find(([name]) => name === CONFIG.experimentKey);
+      this.state = {
+        visitorId: (state && state.visitorId) || (cookie && cookie[1]) || Utils.generateRevision(),
+        assignments: (state && state.assignments) || {}
+      };
+      this.saveState();
+      return this.state;
+    },
 
-        Utils.log('Saved to API successfully');
+    saveState() {
+      try {
+        localStorage.setItem(CONFIG.experimentKey, JSON.stringify(this.state));
       } catch (e) {
-        Utils.error('Failed to save to API', e);
-        throw e;
-      } finally {
-        this.syncInProgress = false;
+        Utils.error('Failed to save experiment assignments', e);
       }
-    }
+      document.cookie = `${CONFIG.experimentKey}=${encodeURIComponent(this.state.visitorId)}; path=/; max-age=31536000; SameSite=Lax`;
+    },
 
-    parseAPIResponse(data) {
-      // Parse Squarespace API response into our format
-      if (data && data.items) {
-        const snippets = {};
-        data.items.forEach(item => {
-          if (item.customContent) {
-            try {
-              const parsed = JSON.parse(item.customContent);
-              snippets[item.id] = parsed;
-            } catch (e) {
-              Utils.error('Failed to parse snippet data', e);
-            }
-          }
-        });
-        return snippets;
+    getForced() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.forcedVariantsKey)) || {};
+      } catch (e) {
+        return {};
       }
-      return data || {};
-    }
+    },
 
-    getCsrfToken() {
-      const name = 'crumb=';
-      const decodedCookie = decodeURIComponent(document.cookie);
-      const ca = decodedCookie.split(';');
-      
-      for (let c of ca) {
-        c = c.trim();
-        if (c.indexOf(name) === 0) {
-          return c.substring(name.length);
-        }
+    setForced(snippetId, versionId) {
+      const forced = this.getForced();
+      if (versionId) {
+        forced[snippetId] = versionId;
+      } else {
+        delete forced[snippetId];
       }
-      return '';
+      localStorage.setItem(CONFIG.forcedVariantsKey, JSON.stringify(forced));
     }
-  }
+  };
 
-  // UI Manager - handles all UI components
-  class UIManager {
-    constructor(snippetManager) {
-      this.snippetManager = snippetManager;
-      this.controlPanel = null;
-      this.selectedElement = null;
-    }
+  // Picks the translation of a snippet for a container on the live site. A
+  // snippet's translations are { [locale]: { html, timestamp, author } } and
+  // go live as publishedTranslations when the snippet is published; its
+  // versions hold the content in the default locale. Translations belong to
+  // the published version, so a scheduled version, an A/B variant or a
+  // targeting fallback renders in the default locale.
+  const Localization = {
+    normalize(locale) {
+      return String(locale || '').trim().toLowerCase().replace(/_/g, '-');
+    },
 
-    init() {
-      this.injectStyles();
-      this.createControlPanel();
-      this.setupSelectionHandler();
-      this.markExistingSnippets();
-    }
+    // data-locale on the container or a parent, then the URL prefix, then <html lang>
+    requestedLocale(element) {
+      const marked = element.closest('[data-locale]');
+      if (marked && marked.getAttribute('data-locale')) {
+        return this.normalize(marked.getAttribute('data-locale'));
+      }
 
-    injectStyles() {
-      const style = document.createElement('style');
-      style.id = 'global-snippets-styles';
-      style.textContent = `
-        /* Global Snippet Indicators */
-        [${CONFIG.snippetAttribute}] {
-          position: relative;
-          outline: 2px dashed #FF6B6B !important;
-          outline-offset: 4px;
-        }
-        
-        [${CONFIG.snippetAttribute}]::before {
-          content: '✂️ GLOBAL: ' attr(${CONFIG.snippetAttribute});
-          position: absolute;
-          top: -24px;
-          left: 0;
-          background: #FF6B6B;
-          color: white;
-          padding: 4px 12px;
-          font-size: 11px;
-          font-weight: 600;
-          border-radius: 4px 4px 0 0;
-          z-index: 1000;
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          letter-spacing: 0.5px;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-        }
+      const prefix = this.normalize(window.location.pathname.split('/')[1]);
+      const supported = CONFIG.locales.supported.map(locale => this.normalize(locale));
+      if (supported.length ? supported.includes(prefix) : /^[a-z]{2}(-[a-z]{2})?$/.test(prefix)) {
+        return prefix;
+      }
 
-        [${CONFIG.snippetAttribute}]:hover::before {
-          background: #EE5A52;
-        }
-        
-        /* Control Panel */
-        .global-snippets-panel {
-          position: fixed;
-          top: 80px;
-          right: 20px;
-          width: 380px;
-          background: white;
-          border-radius: 12px;
-          box-shadow: 0 8px 32px rgba(0,0,0,0.12);
-          z-index: 999999;
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          max-height: calc(100vh - 100px);
-          display: flex;
-          flex-direction: column;
-          overflow: hidden;
-          transition: all 0.3s ease;
-        }
+      return this.normalize(document.documentElement.lang) || this.normalize(CONFIG.locales.default);
+    },
 
-        .global-snippets-panel.minimized {
-          width: 60px;
-          height: 60px;
-          cursor: pointer;
-          border-radius: 50%;
-          overflow: visible;
-        }
+    // Locales to try in order, ending with the default
+    fallbackChain(locale) {
+      const fallbacks = Object.entries(CONFIG.locales.fallbacks)
+        .filter(([from]) => this.normalize(from) === locale)
+        .flatMap(([, to]) => [].concat(to).map(next => this.normalize(next)));
+      const chain = [locale, ...fallbacks, locale.split('-')[0], this.normalize(CONFIG.locales.default)];
+      return chain.filter((next, index) => next && chain.indexOf(next) === index);
+    },
 
-        .global-snippets-panel.minimized .panel-content {
-          display: none;
-        }
+    // { locale, html } of the translation to render in place of version, or null for the version itself
+    resolve(snippet, element, version) {
+      if (version.id !== snippet.publishedVersion) return null;
 
-        .panel-header {
-          background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
-          color: white;
-          padding: 16px 20px;
-          display: flex;
-          align-items: center;
-          justify-content: space-between;
-          cursor: move;
-          user-select: none;
-          border-radius: 12px 12px 0 0;
-          transition: all 0.3s ease;
-        }
+      const defaultLocale = this.normalize(CONFIG.locales.default);
+      const translations = snippet.publishedTranslations || {};
 
-        .global-snippets-panel.minimized .panel-header {
-          padding: 0;
-          justify-content: center;
-          align-items: center;
-          cursor: pointer;
-          border-radius: 50%;
-          width: 60px;
-          height: 60px;
-        }
+      for (const locale of this.fallbackChain(this.requestedLocale(element))) {
+        if (locale === defaultLocale) return null;
+        if (translations[locale]) return { locale, html: translations[locale].html };
+      }
+      return null;
+    },
 
-        .panel-title {
-          font-size: 16px;
-          font-weight: 600;
-          display: flex;
-          align-items: center;
-          gap: 8px;
-        }
+    // Site locales without a translation of this snippet
+    missingLocales(snippet, siteLocales) {
+      const defaultLocale = this.normalize(CONFIG.locales.default);
+      return siteLocales.filter(locale => locale !== defaultLocale && !(snippet.translations || {})[locale]);
+    },
 
-        .global-snippets-panel.minimized .panel-title {
-          display: none;
-        }
+    // The configured locales, or else every locale any snippet is translated into
+    siteLocales(snippets) {
+      const configured = CONFIG.locales.supported.map(locale => this.normalize(locale));
+      const locales = configured.length
+        ? configured
+        : Object.values(snippets).flatMap(snippet => Object.keys(snippet.translations || {}));
+      return Array.from(new Set(locales)).filter(locale => locale !== this.normalize(CONFIG.locales.default)).sort();
+    }
+  };
 
-        .panel-actions {
-          display: flex;
-          gap: 8px;
-        }
+  // Where snippets are used across the site. scan() reads the pages in the
+  // sitemap, up to CONFIG.usageScanMaxPages, and records the snippet
+  // containers on each. The result is kept in this browser only, as
+  //   { scannedAt, pageCount, skipped, pages: { path: [snippet ids] }, failed: [path] }
+  // where skipped counts the sitemap pages over the limit.
+  // Snippets nested in other snippets are resolved in usage(), against the
+  // snippets as they are then rather than as they were at scan time.
+  const UsageIndex = {
+    concurrency: 4,
+
+    load() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.usageKey)) || null;
+      } catch (e) {
+        return null;
+      }
+    },
 
-        .global-snippets-panel.minimized .panel-actions {
-          position: static;
-          width: 100%;
-          height: 100%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          gap: 0;
-        }
+    save(index) {
+      try {
+        localStorage.setItem(CONFIG.usageKey, JSON.stringify(index));
+      } catch (e) {
+        Utils.error('Failed to store the usage index:', e);
+      }
+    },
 
-        .panel-btn {
-          background: rgba(255,255,255,0.2);
-          border: none;
-          color: white;
-          width: 28px;
-          height: 28px;
-          border-radius: 6px;
-          cursor: pointer;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          transition: all 0.2s;
-          font-size: 16px;
-        }
+    // Sitemaps list the primary domain, which isn't the origin the editor
+    // runs on, so only the path of each URL is kept and fetched from here
+    toPath(url) {
+      try {
+        const parsed = new URL(url, window.location.origin);
+        return parsed.pathname + parsed.search;
+      } catch (e) {
+        return null;
+      }
+    },
 
-        .panel-btn:hover {
-          background: rgba(255,255,255,0.3);
-          transform: scale(1.05);
-        }
+    // Page paths from the sitemap, following sitemap indexes
+    async sitemapPages(path = CONFIG.sitemapPath, seen = new Set()) {
+      if (!path || seen.has(path)) return [];
+      seen.add(path);
 
-        /* Minimized button styling */
-        .global-snippets-panel.minimized .panel-btn {
-          width: 100%;
-          height: 100%;
-          font-size: 32px !important;
-          background: transparent;
-          border-radius: 50%;
-          position: static;
-          line-height: 1;
-          padding: 0;
-        }
+      const response = await fetch(path, { credentials: 'same-origin' });
+      if (!response.ok) {
+        throw new Error(`${path} returned ${response.status}`);
+      }
+      const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+      if (xml.querySelector('parsererror')) {
+        throw new Error(`${path} is not a valid sitemap`);
+      }
 
-        .global-snippets-panel.minimized .panel-btn:hover {
-          background: rgba(255,255,255,0.15);
-          transform: scale(1.1);
-        }
+      const locations = selector => Array.from(xml.querySelectorAll(selector))
+        .map(loc => this.toPath(loc.textContent.trim()))
+        .filter(Boolean);
+      const pages = locations('url > loc');
+      for (const sitemap of locations('sitemap > loc')) {
+        pages.push(...await this.sitemapPages(sitemap, seen));
+      }
+      return Array.from(new Set(pages));
+    },
 
-        /* Hide help button when minimized */
-        .global-snippets-panel.minimized #help-panel {
-          display: none;
-        }
-        
-        /* Ensure emoji is visible */
-        .global-snippets-panel.minimized #minimize-panel {
-          display: flex !important;
-          align-items: center !important;
-          justify-content: center !important;
+    // findIds(html) lists the snippet ids of the containers in some HTML
+    async scan(findIds, onProgress = () => {}) {
+      const listed = await this.sitemapPages();
+      const paths = listed.slice(0, CONFIG.usageScanMaxPages);
+      const queue = [...paths];
+      const pages = {};
+      const failed = [];
+      let done = 0;
+
+      const worker = async () => {
+        while (queue.length) {
+          const path = queue.shift();
+          try {
+            const response = await fetch(path, { credentials: 'same-origin' });
+            if (!response.ok) {
+              throw new Error(`returned ${response.status}`);
+            }
+            const ids = findIds(await response.text());
+            if (ids.length) {
+              pages[path] = ids;
+            }
+          } catch (e) {
+            failed.push(path);
+            Utils.log(`Usage scan skipped ${path}: ${e.message}`);
+          }
+          onProgress(++done, paths.length);
         }
+      };
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, paths.length) }, worker));
+
+      const index = {
+        scannedAt: new Date().toISOString(),
+        pageCount: paths.length,
+        skipped: listed.length - paths.length,
+        pages,
+        failed: failed.sort()
+      };
+      this.save(index);
+      return index;
+    },
 
-        .panel-content {
-          padding: 20px;
-          overflow-y: auto;
-          flex: 1;
-        }
+    // snippet id -> [{ path, via }] for every snippet, where via is null when
+    // the page has a container of its own, or else the snippet it is nested in.
+    // Both the draft and the published version of a snippet count as using
+    // what they contain.
+    usage(index, snippets, findIds) {
+      const contains = {};
+      Object.keys(snippets).forEach(snippetId => {
+        const snippet = snippets[snippetId];
+        const entries = [snippet.versions[snippet.currentVersion], StorageManager.publishedEntry(snippet)];
+        contains[snippetId] = Array.from(new Set(entries.filter(Boolean).flatMap(entry => findIds(entry.html))));
+      });
 
-        /* Form Elements */
-        .form-group {
-          margin-bottom: 16px;
+      const paths = Object.keys(index.pages).sort();
+      const result = {};
+      Object.keys(snippets).forEach(snippetId => {
+        // Snippets that include this one, nearest first
+        const including = [];
+        const seen = new Set([snippetId]);
+        for (let i = -1; i < including.length; i++) {
+          const child = i < 0 ? snippetId : including[i];
+          Object.keys(contains).forEach(otherId => {
+            if (!seen.has(otherId) && contains[otherId].includes(child)) {
+              seen.add(otherId);
+              including.push(otherId);
+            }
+          });
         }
 
-        .form-label {
-          display: block;
-          font-size: 13px;
-          font-weight: 500;
-          color: #374151;
-          margin-bottom: 6px;
-        }
+        result[snippetId] = paths.flatMap(path => {
+          const ids = index.pages[path];
+          if (ids.includes(snippetId)) return [{ path, via: null }];
+          const via = including.find(otherId => ids.includes(otherId));
+          return via ? [{ path, via }] : [];
+        });
+      });
+      return result;
+    }
+  };
 
-        .form-input {
-          width: 100%;
-          padding: 10px 12px;
-          border: 1.5px solid #e5e7eb;
-          border-radius: 8px;
-          font-size: 14px;
-          transition: all 0.2s;
-          box-sizing: border-box;
+  // Just enough of the zip format for snippet archives. Entries are written
+  // uncompressed so the same snippets always give the same bytes; reading
+  // also accepts deflated entries, which is what most zip tools write, in
+  // browsers that have DecompressionStream.
+  const Zip = {
+    crcTable: null,
+
+    crc32(bytes) {
+      if (!this.crcTable) {
+        this.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+          let c = n;
+          for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          }
+          this.crcTable[n] = c >>> 0;
         }
+      }
 
-        .form-input:focus {
-          outline: none;
-          border-color: #FF6B6B;
-          box-shadow: 0 0 0 3px rgba(255, 107, 107, 0.1);
-        }
+      let crc = 0xffffffff;
+      for (let i = 0; i < bytes.length; i++) {
+        crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      }
+      return (crc ^ 0xffffffff) >>> 0;
+    },
 
-        .form-textarea {
-          min-height: 100px;
-          resize: vertical;
-          font-family: 'Monaco', 'Courier New', monospace;
-          font-size: 12px;
-        }
+    isZip(bytes) {
+      return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b &&
+        ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06));
+    },
 
-        /* Buttons */
-        .btn {
-          width: 100%;
-          padding: 12px 20px;
-          border: none;
-          border-radius: 8px;
-          font-size: 14px;
-          font-weight: 500;
-          cursor: pointer;
-          transition: all 0.2s;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          gap: 8px;
+    // path -> text, in the order given, to the bytes of an archive
+    create(files, date = new Date()) {
+      const encoder = new TextEncoder();
+      const paths = Object.keys(files);
+      const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+      const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+      const parts = [];
+      const directory = [];
+      let offset = 0;
+
+      if (paths.length > 0xffff) {
+        throw new Error('Too many files for a zip archive');
+      }
+
+      // The fields local headers and central directory entries share
+      const common = (view, at, crc, size, nameLength) => {
+        view.setUint16(at, 20, true); // version needed to extract
+        view.setUint16(at + 2, 0x0800, true); // names are UTF-8
+        view.setUint16(at + 4, 0, true); // stored
+        view.setUint16(at + 6, dosTime, true);
+        view.setUint16(at + 8, dosDate, true);
+        view.setUint32(at + 10, crc, true);
+        view.setUint32(at + 14, size, true);
+        view.setUint32(at + 18, size, true);
+        view.setUint16(at + 22, nameLength, true);
+      };
+
+      paths.forEach(path => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(files[path]);
+        const crc = this.crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        common(header, 4, crc, data.length, name.length);
+        parts.push(new Uint8Array(header.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true); // version made by
+        common(entry, 6, crc, data.length, name.length);
+        entry.setUint32(42, offset, true);
+        directory.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+      });
+
+      const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true);
+      end.setUint16(8, paths.length, true);
+      end.setUint16(10, paths.length, true);
+      end.setUint32(12, directorySize, true);
+      end.setUint32(16, offset, true);
+
+      const all = [...parts, ...directory, new Uint8Array(end.buffer)];
+      const bytes = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+      let position = 0;
+      all.forEach(part => {
+        bytes.set(part, position);
+        position += part.length;
+      });
+      return bytes;
+    },
+
+    // Resolves to path -> text for every file in the archive
+    async read(bytes) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+      let end = -1;
+
+      // The end record is last, followed only by an optional comment
+      for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+          end = i;
+          break;
         }
+      }
+      if (end < 0) {
+        throw new Error('Not a zip archive');
+      }
 
-        .btn:disabled {
-          opacity: 0.5;
-          cursor: not-allowed;
+      const count = view.getUint16(end + 10, true);
+      let position = view.getUint32(end + 16, true);
+      if (count === 0xffff || position === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported');
+      }
+
+      const files = {};
+      for (let i = 0; i < count; i++) {
+        if (position + 46 > bytes.length || view.getUint32(position, true) !== 0x02014b50) {
+          throw new Error('The zip archive is damaged');
         }
 
-        .btn-primary {
-          background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
-          color: white;
+        const flags = view.getUint16(position + 8, true);
+        const method = view.getUint16(position + 10, true);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+
+        if (name.endsWith('/')) continue;
+        if (flags & 1) {
+          throw new Error(`${name} is encrypted`);
         }
 
-        .btn-primary:hover:not(:disabled) {
-          transform: translateY(-1px);
-          box-shadow: 0 4px 12px rgba(255, 107, 107, 0.4);
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = await this.inflate(bytes.subarray(start, start + size), method, name);
+        if (this.crc32(data) !== crc) {
+          throw new Error(`${name} is damaged`);
+        }
+        files[name] = decoder.decode(data);
+      }
+      return files;
+    },
+
+    async inflate(data, method, name) {
+      if (method === 0) return data;
+      if (method !== 8) {
+        throw new Error(`${name} uses an unsupported compression method`);
+      }
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser can\'t read compressed zip archives; zip the files without compression');
+      }
+
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+  };
+
+  // Export files and the import preview. An export is an envelope:
+  //   { format, formatVersion, siteId, exportedAt, generator, snippets, checksums }
+  // where checksums maps each snippet id to a hash of its JSON. Exports made
+  // before the envelope existed (a bare id -> snippet object) still import.
+  const ImportExport = {
+    format: 'global-snippets',
+    formatVersion: 1,
+    // Sync bookkeeping that belongs to the store a snippet came from
+    localFields: ['revision', 'syncedVersion', 'syncedHash'],
+
+    siteId() {
+      return CONFIG.siteId || window.location.hostname;
+    },
+
+    createEnvelope(snippets) {
+      const exported = {};
+      const checksums = {};
+
+      Object.keys(snippets).sort().forEach(snippetId => {
+        exported[snippetId] = this.strip(snippets[snippetId]);
+        checksums[snippetId] = this.checksum(exported[snippetId]);
+      });
+
+      return {
+        format: this.format,
+        formatVersion: this.formatVersion,
+        siteId: this.siteId(),
+        exportedAt: new Date().toISOString(),
+        generator: `global-snippets ${CONFIG.version}`,
+        snippets: exported,
+        checksums
+      };
+    },
+
+    strip(snippet) {
+      const copy = JSON.parse(JSON.stringify(snippet));
+      this.localFields.forEach(field => delete copy[field]);
+      return copy;
+    },
+
+    checksum(snippet) {
+      return Utils.hashString(JSON.stringify(snippet)).toString(16).padStart(8, '0');
+    },
+
+    // Throws for anything that isn't an export; problems with single
+    // snippets are reported per snippet in errors instead
+    parse(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+      }
+      return this.read(data);
+    },
+
+    read(data) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected an exported object');
+      }
+
+      // Exports from before the envelope
+      if (data.format === undefined) {
+        return { formatVersion: 0, siteId: null, exportedAt: null, snippets: data, ...this.validateAll(data, null) };
+      }
+
+      if (data.format !== this.format) {
+        throw new Error(`Unknown format "${data.format}"`);
+      }
+      if (!Number.isInteger(data.formatVersion) || data.formatVersion > this.formatVersion) {
+        throw new Error(`Format version ${data.formatVersion} is newer than this version of Global Snippets supports`);
+      }
+      if (!data.snippets || typeof data.snippets !== 'object' || Array.isArray(data.snippets)) {
+        throw new Error('The export has no snippets');
+      }
+
+      return { ...data, ...this.validateAll(data.snippets, data.checksums || {}) };
+    },
+
+    // The same export as a zip, laid out for version control so that a
+    // change to a snippet shows up as a diff of an HTML file:
+    //   manifest.json                     the envelope, each html replaced by { file }
+    //   <id>/snippet.html                 the current version
+    //   <id>/versions/<number>.html       every other version
+    //   <id>/translations/<locale>.html
+    //   <id>/translations/live/<locale>.html  published translations
+    // Checksums cover the HTML as well, so the archive round-trips exactly.
+    createArchive(snippets) {
+      const envelope = this.createEnvelope(snippets);
+      const files = {};
+      const used = new Set();
+      const addFile = (path, html) => {
+        const unique = this.uniquePath(path, used);
+        files[`${unique}.html`] = html;
+        return { file: `${unique}.html` };
+      };
+
+      Object.keys(envelope.snippets).forEach(snippetId => {
+        const snippet = envelope.snippets[snippetId];
+        const directory = this.uniquePath(this.pathName(snippetId), used);
+
+        (snippet.versions || []).forEach((version, index) => {
+          if (!version || typeof version.html !== 'string') return;
+          version.html = index === snippet.currentVersion
+            ? addFile(`${directory}/snippet`, version.html)
+            : addFile(`${directory}/versions/${this.pathName(version.version)}`, version.html);
+        });
+        [['translations', 'translations'], ['publishedTranslations', 'translations/live']].forEach(([field, folder]) => {
+          Object.keys(snippet[field] || {}).forEach(locale => {
+            const entry = snippet[field][locale];
+            if (entry && typeof entry.html === 'string') {
+              entry.html = addFile(`${directory}/${folder}/${this.pathName(locale)}`, entry.html);
+            }
+          });
+        });
+      });
+
+      return Zip.create({ 'manifest.json': JSON.stringify(envelope, null, 2), ...files }, new Date(envelope.exportedAt));
+    },
+
+    // path -> text from Zip.read, back to what parse() returns. The archive
+    // may have been zipped with an enclosing folder, so paths are relative
+    // to wherever manifest.json is.
+    readArchive(files) {
+      const manifestPath = Object.keys(files)
+        .filter(path => /(^|\/)manifest\.json$/.test(path))
+        .sort((a, b) => a.length - b.length)[0];
+      if (!manifestPath) {
+        throw new Error('The archive has no manifest.json');
+      }
+
+      const root = manifestPath.slice(0, -'manifest.json'.length);
+      let data;
+      try {
+        data = JSON.parse(files[manifestPath]);
+      } catch (e) {
+        throw new Error(`manifest.json is not valid JSON: ${e.message}`);
+      }
+
+      const missing = {};
+      const inline = (snippetId, entry) => {
+        if (!entry || !entry.html || typeof entry.html !== 'object') return;
+        const text = files[root + entry.html.file];
+        if (typeof text === 'string') {
+          entry.html = text;
+        } else {
+          (missing[snippetId] = missing[snippetId] || []).push(`Missing file ${entry.html.file}`);
+        }
+      };
+
+      if (data && data.snippets && typeof data.snippets === 'object') {
+        Object.keys(data.snippets).forEach(snippetId => {
+          const snippet = data.snippets[snippetId] || {};
+          (Array.isArray(snippet.versions) ? snippet.versions : []).forEach(version => inline(snippetId, version));
+          Object.values(snippet.translations || {}).forEach(entry => inline(snippetId, entry));
+          Object.values(snippet.publishedTranslations || {}).forEach(entry => inline(snippetId, entry));
+        });
+      }
+
+      const parsed = this.read(data);
+      Object.keys(missing).forEach(snippetId => {
+        parsed.errors[snippetId] = [...missing[snippetId], ...(parsed.errors[snippetId] || [])];
+      });
+      return parsed;
+    },
+
+    // A file or folder name that is safe on any system and in a zip
+    pathName(name) {
+      return String(name).replace(/[^A-Za-z0-9_-]/g, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`) || '_';
+    },
+
+    // Case-insensitive file systems would merge "Footer" and "footer"
+    uniquePath(path, used) {
+      let candidate = path;
+      for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${path}~${n}`;
+      }
+      used.add(candidate.toLowerCase());
+      return candidate;
+    },
+
+    // snippet id -> list of problems, for the snippets that have any
+    // { errors, warnings } by snippet id. Errors rule a snippet out; a missing
+    // or different checksum only warns, so files edited on purpose still import.
+    validateAll(snippets, checksums) {
+      const errors = {};
+      const warnings = {};
+      Object.keys(snippets).forEach(snippetId => {
+        // Records from older versions are checked the way they will be stored
+        const problems = this.validate(snippetId, this.normalized(snippets[snippetId]));
+        if (problems.length > 0) {
+          errors[snippetId] = problems;
+        } else if (checksums && !checksums[snippetId]) {
+          warnings[snippetId] = ['No checksum: the snippet was added to the file after export'];
+        } else if (checksums && checksums[snippetId] !== this.checksum(snippets[snippetId])) {
+          warnings[snippetId] = ['Checksum mismatch: the snippet was edited or damaged after export'];
+        }
+      });
+      return { errors, warnings };
+    },
+
+    // A normalized copy; anything too broken to normalize is left for validate() to report
+    normalized(snippet) {
+      try {
+        return StorageManager.normalizeSnippet(JSON.parse(JSON.stringify(snippet)));
+      } catch (e) {
+        return snippet;
+      }
+    },
+
+    validate(snippetId, snippet) {
+      const problems = [];
+      const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+      if (!snippetId.trim()) problems.push('Empty snippet id');
+      if (!isObject(snippet)) return [...problems, 'Not an object'];
+      if (!Array.isArray(snippet.versions) || snippet.versions.length === 0) {
+        return [...problems, 'No versions'];
+      }
+
+      snippet.versions.forEach((version, index) => {
+        const label = `Version ${index + 1}`;
+        if (!isObject(version)) {
+          problems.push(`${label} is not an object`);
+          return;
+        }
+        if (typeof version.html !== 'string') problems.push(`${label} has no html`);
+        if (!Number.isFinite(version.version)) problems.push(`${label} has no version number`);
+        if (isNaN(new Date(version.timestamp).getTime())) problems.push(`${label} has no valid timestamp`);
+        if (version.id !== undefined && typeof version.id !== 'string') problems.push(`${label} has an invalid id`);
+      });
+
+      const ids = snippet.versions.map(version => version && version.id).filter(Boolean);
+      if (new Set(ids).size !== ids.length) problems.push('Duplicate version ids');
+      if (!Number.isInteger(snippet.currentVersion) || !snippet.versions[snippet.currentVersion]) {
+        problems.push('currentVersion does not point at a version');
+      }
+      if (snippet.publishedVersion !== undefined && snippet.publishedVersion !== null && !ids.includes(snippet.publishedVersion)) {
+        problems.push('publishedVersion does not match a version');
+      }
+      if (snippet.variables !== undefined && !isObject(snippet.variables)) problems.push('variables must be an object');
+      if (snippet.runScripts !== undefined && typeof snippet.runScripts !== 'boolean') problems.push('runScripts must be true or false');
+      if (snippet.targeting !== undefined && !(isObject(snippet.targeting) && Array.isArray(snippet.targeting.rules))) {
+        problems.push('targeting needs a rules list');
+      }
+      if (snippet.experiment !== undefined && !(isObject(snippet.experiment) && Array.isArray(snippet.experiment.variants))) {
+        problems.push('experiment needs a variants list');
+      }
+      if (snippet.tags !== undefined && !(Array.isArray(snippet.tags) && snippet.tags.every(tag => typeof tag === 'string'))) {
+        problems.push('tags must be a list of strings');
+      }
+      if (snippet.folder !== undefined && typeof snippet.folder !== 'string') problems.push('folder must be a string');
+      ['translations', 'publishedTranslations'].forEach(field => {
+        if (snippet[field] !== undefined && !(isObject(snippet[field]) &&
+            Object.values(snippet[field]).every(entry => isObject(entry) && typeof entry.html === 'string'))) {
+          problems.push(`${field} must map locales to { html }`);
+        }
+      });
+      return problems;
+    },
+
+    // 'new', 'identical', 'settings' (same versions, other tags, targeting...),
+    // 'older' (we already have all of its versions), 'newer' (it continues
+    // our history) or 'conflicting' (the histories split)
+    classify(incoming, existing) {
+      if (!existing) return 'new';
+
+      const theirs = StorageManager.normalizeSnippet(this.strip(incoming));
+      const mine = StorageManager.normalizeSnippet(this.strip(existing));
+      if (JSON.stringify(theirs) === JSON.stringify(mine)) return 'identical';
+
+      const mineIds = mine.versions.map(version => version.id);
+      const theirIds = theirs.versions.map(version => version.id);
+      if (theirIds.every(id => mineIds.includes(id))) {
+        return theirIds.length === mineIds.length ? 'settings' : 'older';
+      }
+      if (theirIds.includes(StorageManager.currentVersionId(mine))) return 'newer';
+      return 'conflicting';
+    },
+
+    defaultAction(status) {
+      return { new: 'overwrite', settings: 'merge', newer: 'merge', conflicting: 'merge' }[status] || 'skip';
+    },
+
+    // Both histories in one. Versions we lack are appended, renumbered where
+    // their number is taken. If the import continues our history its draft,
+    // published version and settings, tags included, win; otherwise ours
+    // stay as they were.
+    merge(existing, incoming) {
+      const mine = StorageManager.normalizeSnippet(JSON.parse(JSON.stringify(existing)));
+      const theirs = StorageManager.normalizeSnippet(this.strip(incoming));
+      const continuesOurs = theirs.versions.some(version => version.id === StorageManager.currentVersionId(mine));
+      const versions = [...mine.versions];
+      let lastNumber = Math.max(...versions.map(version => version.version));
+
+      theirs.versions.forEach(version => {
+        if (versions.some(entry => entry.id === version.id)) return;
+        if (version.version <= lastNumber) {
+          version.version = lastNumber + 1;
+        }
+        lastNumber = version.version;
+        versions.push(version);
+      });
+
+      const base = continuesOurs ? theirs : mine;
+      const current = StorageManager.currentVersionId(base);
+      return {
+        ...base,
+        versions,
+        currentVersion: versions.findIndex(version => version.id === current),
+        publishedVersion: base.publishedVersion
+      };
+    }
+  };
+
+  // Thrown by remote adapters when a write is based on a stale revision
+  class SnippetConflictError extends Error {
+    constructor(snippetId, remote) {
+      super(`Snippet "${snippetId}" was changed by someone else`);
+      this.name = 'SnippetConflictError';
+      this.snippetId = snippetId;
+      this.remote = remote;
+    }
+  }
+
+  /*
+   * Storage adapters
+   *
+   * StorageManager keeps snippets in a local adapter (a fast copy in this
+   * browser) and an optional remote adapter (the copy shared between editors
+   * and the live site). Every adapter implements the same promise-based
+   * interface, keyed by snippet id:
+   *
+   *   get(id)              -> the snippet record, or null
+   *   put(id, snippet)     -> stores the record; may resolve to { revision }
+   *   delete(id, revision) -> removes the record
+   *   list()               -> an object mapping every id to its record
+   *   replaceAll(snippets) -> optional; replaces the whole store at once
+   *
+   * Remote adapters may also offer finer-grained calls, which StorageManager
+   * uses when present:
+   *
+   *   putVersion(id, version, revision)          -> appends one version; { revision }
+   *   deleteVersion(id, versionNumber, revision) -> removes one version; { revision }
+   *   changes(cursor)  -> { snippets, deleted, cursor } changed since the cursor
+   *   manifest()       -> { id: revision } for every snippet, or null if the
+   *                       server can't provide one; used to check freshness
+   *   batch(operations) -> applies [{ op: 'put' | 'delete', id, snippet, revision }]
+   *                        and resolves to [{ id, status, revision, remote }]
+   *   cursor           -> set by list()/changes() to pass to the next changes()
+   *
+   * Remote adapters that support optimistic concurrency compare the
+   * snippet.revision sent with put/delete against the stored record, reject
+   * stale writes with a SnippetConflictError carrying the remote record, and
+   * resolve put with the record's new revision token.
+   *
+   * Built-in adapters are registered below under 'memory', 'localStorage',
+   * 'squarespace' and 'rest'. Pick them by name in CONFIG.storage, register
+   * your own through CONFIG.adapters, or pass an adapter object directly.
+   */
+  const StorageAdapters = {
+    registry: {},
+
+    register(name, factory) {
+      this.registry[name] = factory;
+    },
+
+    create(spec, options = {}) {
+      if (!spec) {
+        return null;
+      }
+
+      // An adapter object passed straight through the configuration
+      if (typeof spec === 'object') {
+        return spec;
+      }
+
+      const factory = this.registry[spec];
+      if (!factory) {
+        throw new Error(`Unknown storage adapter: ${spec}`);
+      }
+      return factory(options);
+    }
+  };
+
+  // Keeps snippets in memory only - useful for tests and previews
+  class MemoryAdapter {
+    constructor(options = {}) {
+      this.records = { ...(options.snippets || {}) };
+    }
+
+    async get(id) {
+      return this.records[id] || null;
+    }
+
+    async put(id, snippet) {
+      this.records[id] = snippet;
+    }
+
+    async delete(id) {
+      delete this.records[id];
+    }
+
+    async list() {
+      return { ...this.records };
+    }
+
+    async replaceAll(snippets) {
+      this.records = { ...snippets };
+    }
+  }
+
+  // Keeps every snippet in a single localStorage key
+  class LocalStorageAdapter {
+    constructor(options = {}) {
+      this.key = options.key || CONFIG.storageKey;
+    }
+
+    async get(id) {
+      const snippets = await this.list();
+      return snippets[id] || null;
+    }
+
+    async put(id, snippet) {
+      const snippets = await this.list();
+      snippets[id] = snippet;
+      await this.replaceAll(snippets);
+    }
+
+    async delete(id) {
+      const snippets = await this.list();
+      delete snippets[id];
+      await this.replaceAll(snippets);
+    }
+
+    async list() {
+      try {
+        const data = localStorage.getItem(this.key);
+        return data ? JSON.parse(data) : {};
+      } catch (e) {
+        Utils.error('Failed to load from localStorage', e);
+        return {};
+      }
+    }
+
+    async replaceAll(snippets) {
+      localStorage.setItem(this.key, JSON.stringify(snippets));
+      Utils.log('Saved to localStorage');
+    }
+  }
+
+  // A plain REST endpoint: GET {baseUrl} lists snippets, and
+  // GET/PUT/DELETE {baseUrl}/{id} work on a single snippet. Writes send the
+  // snippet's revision in If-Match (If-None-Match: * for new snippets) and read
+  // the new revision from the ETag header or a "revision" field in the response.
+  class RestAdapter {
+    constructor(options = {}) {
+      if (!options.baseUrl) {
+        throw new Error('The rest storage adapter needs a baseUrl option');
+      }
+      this.baseUrl = options.baseUrl.replace(/\/$/, '');
+      this.headers = options.headers || {};
+      this.credentials = options.credentials || 'same-origin';
+      this.manifestPath = options.manifestPath || null;
+    }
+
+    send(path, init = {}) {
+      return fetch(this.baseUrl + path, {
+        credentials: this.credentials,
+        ...init,
+        headers: {
+          'Accept': 'application/json',
+          ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+          ...this.headers,
+          ...init.headers
+        }
+      });
+    }
+
+    async get(id) {
+      const response = await this.send(`/${encodeURIComponent(id)}`);
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const snippet = await response.json();
+      const etag = response.headers.get('ETag');
+      return etag && snippet && !snippet.revision ? { ...snippet, revision: etag } : snippet;
+    }
+
+    async put(id, snippet) {
+      const response = await this.send(`/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: snippet.revision ? { 'If-Match': snippet.revision } : { 'If-None-Match': '*' },
+        body: JSON.stringify(snippet)
+      });
+
+      await this.checkConflict(id, response);
+      return this.readRevision(response);
+    }
+
+    async delete(id, revision) {
+      const response = await this.send(`/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: revision ? { 'If-Match': revision } : {}
+      });
+
+      if (response.status === 404) {
+        return;
+      }
+      await this.checkConflict(id, response);
+    }
+
+    async list() {
+      const response = await this.send('');
+
+      if (response.status === 404) {
+        return {};
+      }
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      // Accept either an id -> snippet map or an array of snippets
+      if (Array.isArray(data)) {
+        const snippets = {};
+        data.forEach(snippet => {
+          snippets[snippet.id] = snippet;
+        });
+        return snippets;
+      }
+      return data || {};
+    }
+
+    // GET {baseUrl}{manifestPath} -> { id: revision }, when the server has one
+    async manifest() {
+      if (!this.manifestPath) {
+        return null;
+      }
+
+      const response = await this.send(this.manifestPath);
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+      return response.json();
+    }
+
+    async readRevision(response) {
+      const body = response.status === 204 ? null : await response.json().catch(() => null);
+      return { revision: response.headers.get('ETag') || (body && body.revision) || undefined };
+    }
+
+    async checkConflict(id, response) {
+      if (response.status === 409 || response.status === 412) {
+        throw new SnippetConflictError(id, await this.get(id));
+      }
+      if (!response.ok) {
+        throw new Error(`API save failed: ${response.status}`);
+      }
+    }
+  }
+
+  // The /api/content/global-snippets endpoint. On top of the REST calls it can
+  // append or remove a single version, fetch only the snippets changed since a
+  // cursor, and apply many writes in one batch request:
+  //
+  //   POST   /global-snippets/{id}/versions            append a version (If-Match)
+  //   DELETE /global-snippets/{id}/versions/{version}  remove a version (If-Match)
+  //   GET    /global-snippets?format=json&since={cursor}
+  //            -> { items | snippets, deleted: [ids], cursor }
+  //   POST   /global-snippets/batch  { operations: [{ op, id, snippet, revision }] }
+  //            -> { results: [{ id, status: 'ok' | 'conflict', revision, remote }] }
+  class SquarespaceAdapter extends RestAdapter {
+    constructor(options = {}) {
+      super({ ...options, baseUrl: `${options.apiBase || CONFIG.apiBase}/global-snippets` });
+      this.cursor = null;
+    }
+
+    send(path, init = {}) {
+      return super.send(path, {
+        ...init,
+        headers: { 'X-CSRF-Token': this.getCsrfToken(), ...init.headers }
+      });
+    }
+
+    async list() {
+      const data = await this.fetchJSON('?format=json');
+      Utils.log('Fetched from API', data);
+
+      this.cursor = data.cursor || null;
+      return this.parseAPIResponse(data);
+    }
+
+    async changes(since) {
+      const data = await this.fetchJSON(`?format=json&since=${encodeURIComponent(since)}`);
+
+      this.cursor = data.cursor || since;
+      return {
+        snippets: this.parseAPIResponse(data),
+        deleted: data.deleted || [],
+        cursor: this.cursor
+      };
+    }
+
+    async putVersion(id, version, revision) {
+      const response = await this.send(`/${encodeURIComponent(id)}/versions`, {
+        method: 'POST',
+        headers: { 'If-Match': revision },
+        body: JSON.stringify(version)
+      });
+
+      await this.checkConflict(id, response);
+      return this.readRevision(response);
+    }
+
+    async deleteVersion(id, versionNumber, revision) {
+      const response = await this.send(`/${encodeURIComponent(id)}/versions/${encodeURIComponent(versionNumber)}`, {
+        method: 'DELETE',
+        headers: { 'If-Match': revision }
+      });
+
+      await this.checkConflict(id, response);
+      return this.readRevision(response);
+    }
+
+    async batch(operations) {
+      const response = await this.send('/batch', {
+        method: 'POST',
+        body: JSON.stringify({ operations })
+      });
+
+      if (!response.ok) {
+        throw new Error(`API batch failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      Utils.log(`Saved ${operations.length} changes to API in one batch`);
+      return data.results || [];
+    }
+
+    // Imports overwrite whatever is stored, so send the current revisions
+    async replaceAll(snippets) {
+      const existing = await this.list();
+      const operations = Object.keys(existing)
+        .filter(id => !snippets[id])
+        .map(id => ({ op: 'delete', id, revision: existing[id].revision }));
+
+      Object.keys(snippets).forEach(id => {
+        operations.push({
+          op: 'put',
+          id,
+          snippet: snippets[id],
+          revision: existing[id] ? existing[id].revision : undefined
+        });
+      });
+
+      const failed = (await this.batch(operations)).filter(result => result.status !== 'ok');
+      if (failed.length) {
+        throw new Error(`API import failed for: ${failed.map(result => result.id).join(', ')}`);
+      }
+    }
+
+    async fetchJSON(query) {
+      const response = await this.send(query);
+
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+      return response.json();
+    }
+
+    parseAPIResponse(data) {
+      // Parse Squarespace API response into our format
+      if (data && data.items) {
+        const snippets = {};
+        data.items.forEach(item => {
+          if (item.customContent) {
+            try {
+              const parsed = JSON.parse(item.customContent);
+              snippets[item.id] = parsed;
+            } catch (e) {
+              Utils.error('Failed to parse snippet data', e);
+            }
+          }
+        });
+        return snippets;
+      }
+      return (data && data.snippets) || data || {};
+    }
+
+    getCsrfToken() {
+      const name = 'crumb=';
+      const decodedCookie = decodeURIComponent(document.cookie);
+      const ca = decodedCookie.split(';');
+      
+      for (let c of ca) {
+        c = c.trim();
+        if (c.indexOf(name) === 0) {
+          return c.substring(name.length);
+        }
+      }
+      return '';
+    }
+  }
+
+  // One IndexedDB record per snippet plus one per version, which avoids the
+  // ~5MB localStorage quota. Falls back to localStorage when IndexedDB is unavailable.
+  class IndexedDBAdapter {
+    constructor(options = {}) {
+      this.dbName = options.dbName || CONFIG.indexedDBName;
+      this.legacyKey = options.legacyKey || CONFIG.storageKey;
+      this.fallback = new LocalStorageAdapter({ key: this.legacyKey });
+      this.dbPromise = null;
+    }
+
+    // Resolves to the open database, or null when the fallback is in use
+    open() {
+      if (this.dbPromise) {
+        return this.dbPromise;
+      }
+
+      this.dbPromise = new Promise(resolve => {
+        if (!window.indexedDB) {
+          Utils.log('IndexedDB unavailable, using localStorage');
+          resolve(null);
+          return;
+        }
+
+        let request;
+        try {
+          request = window.indexedDB.open(this.dbName, 1);
+        } catch (e) {
+          Utils.error('Failed to open IndexedDB, using localStorage', e);
+          resolve(null);
+          return;
+        }
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('snippets', { keyPath: 'id' });
+          const versions = db.createObjectStore('versions', { keyPath: ['snippetId', 'position'] });
+          versions.createIndex('snippetId', 'snippetId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          Utils.error('Failed to open IndexedDB, using localStorage', request.error);
+          resolve(null);
+        };
+        request.onblocked = () => {
+          Utils.error('IndexedDB upgrade blocked, using localStorage');
+          resolve(null);
+        };
+      }).then(db => (db ? this.migrate(db) : null));
+
+      return this.dbPromise;
+    }
+
+    // Move data saved under the single localStorage key, by earlier versions or
+    // while IndexedDB was unavailable, into IndexedDB. Snippets IndexedDB
+    // already has are only replaced by a copy with newer versions.
+    async migrate(db) {
+      let legacy = null;
+      try {
+        legacy = JSON.parse(localStorage.getItem(this.legacyKey) || 'null');
+      } catch (e) {
+        Utils.error('Failed to read legacy localStorage data', e);
+      }
+
+      if (!legacy || Object.keys(legacy).length === 0) {
+        return db;
+      }
+
+      try {
+        const tx = db.transaction(['snippets', 'versions']);
+        const [records, versions] = await Promise.all([
+          IndexedDBAdapter.request(tx.objectStore('snippets').getAllKeys()),
+          IndexedDBAdapter.request(tx.objectStore('versions').getAll())
+        ]);
+        const latest = list => Math.max(0, ...(list || []).map(version => new Date(version.timestamp).getTime() || 0));
+        const ids = Object.keys(legacy).filter(id => !records.includes(id) ||
+          latest(legacy[id].versions) > latest(versions.filter(version => version.snippetId === id)));
+
+        if (ids.length > 0) {
+          await this.write(db, ['snippets', 'versions'], tx => {
+            ids.forEach(id => {
+              this.deleteRecords(tx, id);
+              this.putRecords(tx, id, legacy[id]);
+            });
+          });
+          Utils.log(`Migrated ${ids.length} snippets from localStorage to IndexedDB`);
+        }
+        localStorage.removeItem(this.legacyKey);
+        return db;
+      } catch (e) {
+        Utils.error('Migration to IndexedDB failed, using localStorage', e);
+        return null;
+      }
+    }
+
+    async get(id) {
+      const db = await this.open();
+      if (!db) return this.fallback.get(id);
+
+      const tx = db.transaction(['snippets', 'versions']);
+      const [record, versions] = await Promise.all([
+        IndexedDBAdapter.request(tx.objectStore('snippets').get(id)),
+        IndexedDBAdapter.request(tx.objectStore('versions').index('snippetId').getAll(id))
+      ]);
+      return record ? IndexedDBAdapter.assemble(record, versions) : null;
+    }
+
+    async put(id, snippet) {
+      const db = await this.open();
+      if (!db) return this.fallback.put(id, snippet);
+
+      await this.write(db, ['snippets', 'versions'], tx => {
+        this.deleteRecords(tx, id);
+        this.putRecords(tx, id, snippet);
+      });
+    }
+
+    async delete(id) {
+      const db = await this.open();
+      if (!db) return this.fallback.delete(id);
+
+      await this.write(db, ['snippets', 'versions'], tx => this.deleteRecords(tx, id));
+    }
+
+    async list() {
+      const db = await this.open();
+      if (!db) return this.fallback.list();
+
+      const tx = db.transaction(['snippets', 'versions']);
+      const [records, versions] = await Promise.all([
+        IndexedDBAdapter.request(tx.objectStore('snippets').getAll()),
+        IndexedDBAdapter.request(tx.objectStore('versions').getAll())
+      ]);
+
+      const snippets = {};
+      records.forEach(record => {
+        snippets[record.id] = IndexedDBAdapter.assemble(record, versions.filter(v => v.snippetId === record.id));
+      });
+      return snippets;
+    }
+
+    async replaceAll(snippets) {
+      const db = await this.open();
+      if (!db) return this.fallback.replaceAll(snippets);
+
+      await this.write(db, ['snippets', 'versions'], tx => {
+        tx.objectStore('snippets').clear();
+        tx.objectStore('versions').clear();
+        Object.keys(snippets).forEach(id => this.putRecords(tx, id, snippets[id]));
+      });
+    }
+
+    async estimate() {
+      const db = await this.open();
+      const estimate = navigator.storage && navigator.storage.estimate
+        ? await navigator.storage.estimate()
+        : {};
+
+      return {
+        backend: db ? 'IndexedDB' : 'localStorage',
+        usage: estimate.usage,
+        quota: estimate.quota
+      };
+    }
+
+    putRecords(tx, id, snippet) {
+      const { versions = [], ...record } = snippet;
+      tx.objectStore('snippets').put({ ...record, id });
+      versions.forEach((version, position) => {
+        tx.objectStore('versions').put({ ...version, snippetId: id, position });
+      });
+    }
+
+    deleteRecords(tx, id) {
+      tx.objectStore('snippets').delete(id);
+      tx.objectStore('versions').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+    }
+
+    write(db, stores, fill) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(stores, 'readwrite');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        fill(tx);
+      });
+    }
+
+    static request(request) {
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    static assemble(record, versions) {
+      return {
+        ...record,
+        versions: versions
+          .sort((a, b) => a.position - b.position)
+          .map(({ snippetId, position, ...version }) => version)
+      };
+    }
+  }
+
+  StorageAdapters.register('memory', options => new MemoryAdapter(options));
+  StorageAdapters.register('localStorage', options => new LocalStorageAdapter(options));
+  StorageAdapters.register('indexedDB', options => new IndexedDBAdapter(options));
+  StorageAdapters.register('squarespace', options => new SquarespaceAdapter(options));
+  StorageAdapters.register('rest', options => new RestAdapter(options));
+
+  Object.keys(CONFIG.adapters).forEach(name => {
+    StorageAdapters.register(name, CONFIG.adapters[name]);
+  });
+
+  // Remote writes waiting to be sent, kept in localStorage so they survive
+  // reloads. There is at most one entry per snippet: a later write for the same
+  // snippet is merged into the pending entry instead of being queued again.
+  class SyncQueue {
+    constructor(key) {
+      this.key = key;
+      this.entries = this.load();
+    }
+
+    get size() {
+      return this.entries.length;
+    }
+
+    has(snippetId) {
+      return this.entries.some(entry => entry.snippetId === snippetId);
+    }
+
+    add(entry) {
+      this.reload();
+      const existing = this.entries.find(e => e.snippetId === entry.snippetId);
+
+      if (existing) {
+        // Several changes are pending now, so send the whole snippet. Keep the
+        // revision of the first pending delete; it is what the server still holds.
+        existing.revision = existing.revision !== undefined ? existing.revision : entry.revision;
+        delete existing.version;
+        delete existing.deletedVersion;
+        existing.seq++;
+      } else {
+        this.entries.push({ ...entry, seq: 0, queuedAt: new Date().toISOString() });
+      }
+      this.persist();
+    }
+
+    // Only drop the entry if nothing was merged into it while it was being sent
+    remove(snippetId, seq) {
+      this.reload();
+      this.entries = this.entries.filter(e => e.snippetId !== snippetId || (seq !== undefined && e.seq !== seq));
+      this.persist();
+    }
+
+    clear() {
+      this.entries = [];
+      this.persist();
+    }
+
+    // Pick up entries other tabs added or sent since we last looked
+    reload() {
+      this.entries = this.load();
+    }
+
+    load() {
+      try {
+        return JSON.parse(localStorage.getItem(this.key)) || [];
+      } catch (e) {
+        Utils.error('Failed to load sync queue', e);
+        return [];
+      }
+    }
+
+    persist() {
+      try {
+        localStorage.setItem(this.key, JSON.stringify(this.entries));
+      } catch (e) {
+        Utils.error('Failed to save sync queue', e);
+      }
+    }
+  }
+
+  // Storage Manager - keeps the local and remote adapters in step
+  class StorageManager {
+    constructor() {
+      this.cache = null;
+      this.local = StorageAdapters.create(CONFIG.storage.local, CONFIG.storage.options[CONFIG.storage.local]);
+      this.remote = StorageAdapters.create(CONFIG.storage.remote, CONFIG.storage.options[CONFIG.storage.remote]);
+      this.queue = new SyncQueue(CONFIG.syncQueueKey);
+      this.flushing = null;
+      this.flushRequested = false;
+      this.retryTimer = null;
+      this.retryAttempts = 0;
+      this.nextRetryAt = null;
+      this.lastSyncError = null;
+      this.conflicts = {};
+      this.onConflict = null;
+      this.onSyncStatus = null;
+      this.onExternalChange = null;
+      this.revalidating = null;
+      this.validatedAt = this.loadSyncState().validatedAt || 0;
+      this.tabId = Utils.generateRevision();
+      this.seenChanges = [];
+      this.syncing = false;
+      this.listenForChanges();
+    }
+
+    // Only the editor writes, so only it picks up queued changes from earlier
+    // sessions and follows the connection state; see getAllSnippets
+    startSync() {
+      if (this.syncing) return;
+      this.syncing = true;
+
+      // Send queued changes as soon as the connection comes back
+      window.addEventListener('online', () => {
+        Utils.log('Back online, sending queued changes');
+        this.retryAttempts = 0;
+        this.flushQueue();
+      });
+      window.addEventListener('offline', () => this.notifySyncStatus());
+    }
+
+    // Answers from the local copy straight away once there is one; when that
+    // is older than CONFIG.cacheTtl it is checked against the remote copy in
+    // the background (see revalidate)
+    async getAllSnippets() {
+      if (this.cache) {
+        if (this.isStale()) {
+          this.revalidate();
+        }
+        return this.cache;
+      }
+
+      const localData = this.remote ? await this.local.list() : {};
+      if (Object.keys(localData).length > 0) {
+        this.cache = localData;
+        if (this.isStale()) {
+          this.revalidate();
+        }
+      } else if (this.remote) {
+        try {
+          // Nothing stored in this browser yet, so wait for the remote copy
+          this.cache = await this.fetchRemote();
+          this.markValidated();
+        } catch (e) {
+          Utils.log('Remote fetch failed, using local storage', e);
+        }
+      }
+
+      // Fallback to the local adapter
+      if (!this.cache) {
+        this.cache = await this.local.list();
+      }
+      Object.values(this.cache).forEach(StorageManager.normalizeSnippet);
+
+      // Changes queued in an earlier session go out now
+      if (this.syncing && this.remote && this.queue.size > 0) {
+        this.flushQueue();
+      }
+      return this.cache;
+    }
+
+    // Pull only what changed since the last sync when the adapter has a change
+    // feed and we still hold the local copy it applies to; otherwise list everything
+    async fetchRemote() {
+      const { cursor } = this.loadSyncState();
+      const localData = cursor && this.remote.changes ? await this.local.list() : {};
+
+      if (cursor && this.remote.changes && Object.keys(localData).length > 0) {
+        const delta = await this.remote.changes(cursor);
+
+        for (const snippetId of Object.keys(delta.snippets)) {
+          const mine = localData[snippetId];
+
+          // Keep local edits that have not reached the server yet
+          if (this.queue.has(snippetId) || (mine && !StorageManager.isSynced(mine))) continue;
+
+          const snippet = delta.snippets[snippetId];
+          StorageManager.normalizeSnippet(snippet);
+          StorageManager.setSynced(snippet);
+          localData[snippetId] = snippet;
+          await this.saveLocal(snippetId, snippet, { broadcast: false });
+        }
+
+        for (const snippetId of delta.deleted) {
+          if (this.queue.has(snippetId)) continue;
+          delete localData[snippetId];
+          await this.saveLocal(snippetId, null, { broadcast: false });
+        }
+
+        this.saveSyncState({ cursor: delta.cursor });
+        Utils.log(`Fetched ${Object.keys(delta.snippets).length} changed and ${delta.deleted.length} deleted snippets since last sync`);
+        return localData;
+      }
+
+      const remoteData = await this.remote.list();
+      Object.values(remoteData).forEach(snippet => {
+        StorageManager.normalizeSnippet(snippet);
+        StorageManager.setSynced(snippet);
+      });
+
+      // Keep local edits that have not reached the server yet, as the change feed does
+      const localCopies = await this.local.list();
+      Object.keys(remoteData).forEach(snippetId => {
+        const mine = localCopies[snippetId];
+        if (mine && !StorageManager.isSynced(mine)) {
+          remoteData[snippetId] = mine;
+        }
+      });
+      this.queue.entries.forEach(({ snippetId }) => {
+        if (localCopies[snippetId]) {
+          remoteData[snippetId] = localCopies[snippetId];
+        } else {
+          delete remoteData[snippetId];
+        }
+      });
+
+      await this.replaceLocal(remoteData, { broadcast: false });
+      this.saveSyncState({ cursor: this.remote.cursor || null });
+      return remoteData;
+    }
+
+    isStale() {
+      return !!this.remote && Date.now() - this.validatedAt >= CONFIG.cacheTtl;
+    }
+
+    markValidated() {
+      this.validatedAt = Date.now();
+      this.saveSyncState({ validatedAt: this.validatedAt });
+    }
+
+    // Check the cached snippets against the remote copy and swap in the ones
+    // that changed. Resolves to the changed ids; onExternalChange re-renders them.
+    revalidate() {
+      if (!this.remote) {
+        return Promise.resolve([]);
+      }
+      if (this.revalidating) {
+        return this.revalidating;
+      }
+
+      this.revalidating = (async () => {
+        try {
+          const before = new Map(Object.keys(this.cache).map(snippetId => [snippetId, StorageManager.currentVersionId(this.cache[snippetId])]));
+          const { snippets, removedIds, stored } = await this.fetchChanged();
+          const changedIds = [];
+
+          for (const snippetId of [...Object.keys(snippets), ...removedIds]) {
+            const mine = this.cache[snippetId];
+            const theirs = snippets[snippetId] || null;
+
+            // Edits waiting to sync, or made here while we were fetching, win
+            if (this.queue.has(snippetId) || before.get(snippetId) !== (mine ? StorageManager.currentVersionId(mine) : undefined)) continue;
+            if (mine && theirs && StorageManager.sameSnippet(mine, theirs)) continue;
+
+            if (theirs) {
+              this.cache[snippetId] = theirs;
+            } else {
+              delete this.cache[snippetId];
+            }
+            if (!stored) {
+              await this.saveLocal(snippetId, theirs, { broadcast: false });
+            }
+            changedIds.push(snippetId);
+          }
+
+          this.markValidated();
+          if (changedIds.length > 0) {
+            Utils.log(`Revalidated, ${changedIds.length} changed: ${changedIds.join(', ')}`);
+            if (this.onExternalChange) {
+              this.onExternalChange(changedIds, 'remote');
+            }
+          } else {
+            Utils.log('Revalidated, local copy is up to date');
+          }
+          return changedIds;
+        } catch (e) {
+          // Try again after another TTL rather than on every read
+          this.validatedAt = Date.now();
+          Utils.log('Revalidation failed, keeping the local copy', e);
+          return [];
+        } finally {
+          this.revalidating = null;
+        }
+      })();
+      return this.revalidating;
+    }
+
+    // Ignore the TTL and check the remote copy now
+    refresh() {
+      this.validatedAt = 0;
+      return this.revalidate();
+    }
+
+    // Remote snippets that may differ from the cache, lightest request first:
+    // the change feed, then a manifest of revisions, then the full list.
+    // stored is true when fetchRemote already wrote them to the local adapter.
+    async fetchChanged() {
+      const { cursor } = this.loadSyncState();
+      const manifest = !(cursor && this.remote.changes) && this.remote.manifest
+        ? await this.remote.manifest()
+        : null;
+
+      if (manifest) {
+        const snippets = {};
+        for (const snippetId of Object.keys(manifest)) {
+          const mine = this.cache[snippetId];
+          if (mine && mine.revision && mine.revision === manifest[snippetId]) continue;
+
+          const snippet = await this.remote.get(snippetId);
+          if (snippet) {
+            StorageManager.normalizeSnippet(snippet);
+            StorageManager.setSynced(snippet);
+            snippets[snippetId] = snippet;
+          }
+        }
+        const removedIds = Object.keys(this.cache).filter(snippetId => !(snippetId in manifest));
+        return { snippets, removedIds, stored: false };
+      }
+
+      const snippets = await this.fetchRemote();
+      const removedIds = Object.keys(this.cache).filter(snippetId => !snippets[snippetId]);
+      return { snippets, removedIds, stored: true };
+    }
+
+    // Revisions decide when both sides have one; otherwise compare the records
+    static sameSnippet(a, b) {
+      if (a.revision && b.revision) {
+        return a.revision === b.revision;
+      }
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    loadSyncState() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.syncStateKey)) || {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    saveSyncState(state) {
+      try {
+        localStorage.setItem(CONFIG.syncStateKey, JSON.stringify({ ...this.loadSyncState(), ...state }));
+      } catch (e) {
+        Utils.error('Failed to save sync state', e);
+      }
+    }
+
+    async saveSnippet(snippetId, data) {
+      const allSnippets = await this.getAllSnippets();
+      
+      if (!allSnippets[snippetId]) {
+        allSnippets[snippetId] = {
+          id: snippetId,
+          versions: [],
+          currentVersion: 0,
+          publishedVersion: null
+        };
+      }
+
+      const snippet = allSnippets[snippetId];
+      const newVersion = StorageManager.appendVersion(snippet, data);
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+
+      // Async save to the remote adapter
+      this.saveRemote(snippetId, { version: newVersion.version }).catch(e => {
+        Utils.error('Failed to save to remote storage', e);
+      });
+
+      return newVersion;
+    }
+
+    // Save several snippets at once and upload them in a single batch where the
+    // remote adapter supports it. Unchanged HTML does not create a new version.
+    async saveSnippets(entries, author) {
+      const allSnippets = await this.getAllSnippets();
+      const changedIds = [];
+
+      for (const { snippetId, html } of entries) {
+        if (!allSnippets[snippetId]) {
+          allSnippets[snippetId] = {
+            id: snippetId,
+            versions: [],
+            currentVersion: 0,
+            publishedVersion: null
+          };
+        }
+
+        const snippet = allSnippets[snippetId];
+        if (StorageManager.currentHtml(snippet) === html) continue;
+
+        StorageManager.appendVersion(snippet, { html, author });
+        await this.saveLocal(snippetId, snippet);
+        changedIds.push(snippetId);
+      }
+
+      this.cache = allSnippets;
+      await this.saveRemoteBatch(changedIds);
+      return changedIds;
+    }
+
+    async deleteVersion(snippetId, versionId) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+      const versionIndex = snippet ? snippet.versions.findIndex(v => v.id === versionId) : -1;
+      const version = snippet && snippet.versions[versionIndex];
+
+      if (!version) {
+        throw new Error('Version not found');
+      }
+      if (versionIndex === snippet.currentVersion) {
+        throw new Error('The current version cannot be deleted');
+      }
+      if (version.pinned) {
+        throw new Error('Unpin this version before deleting it');
+      }
+      if (version.id === snippet.publishedVersion) {
+        throw new Error('The published version cannot be deleted');
+      }
+      if (snippet.experiment && snippet.experiment.variants.some(variant => variant.versionId === versionId)) {
+        throw new Error('This version is part of a running A/B test');
+      }
+
+      snippet.versions.splice(versionIndex, 1);
+      if (snippet.currentVersion > versionIndex) {
+        snippet.currentVersion--;
+      }
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId, { deletedVersion: version.version });
+    }
+
+    // Adds a version and makes it current. Each version keeps its id and
+    // number for good: numbers only go up, even after old versions are trimmed.
+    static appendVersion(snippet, data) {
+      const newVersion = {
+        id: Utils.generateVersionId(),
+        version: snippet.versions.reduce((max, version) => Math.max(max, version.version), -1) + 1,
+        html: data.html,
+        timestamp: new Date().toISOString(),
+        author: data.author || 'unknown'
+      };
+      if (data.restoredFrom) {
+        newVersion.restoredFrom = data.restoredFrom;
+      }
+
+      snippet.versions.push(newVersion);
+
+      // Keep only the last N versions; pinned, published, still scheduled,
+      // targeting fallback and experiment variant ones don't count
+      const fallbackVersion = snippet.targeting && snippet.targeting.fallbackVersion;
+      const variantIds = snippet.experiment ? snippet.experiment.variants.map(variant => variant.versionId) : [];
+      const kept = version => version.pinned || version.id === snippet.publishedVersion ||
+        version.id === fallbackVersion || variantIds.includes(version.id) || StorageManager.isScheduled(version);
+      let excess = snippet.versions.filter(version => !kept(version)).length - CONFIG.maxVersionHistory;
+      snippet.versions = snippet.versions.filter(version => {
+        if (excess > 0 && !kept(version) && version !== newVersion) {
+          excess--;
+          return false;
+        }
+        return true;
+      });
+      snippet.currentVersion = snippet.versions.length - 1;
+
+      return newVersion;
+    }
+
+    // Upgrade records saved before versions had ids. Ids for those versions
+    // come from their number and timestamp, so every client derives the same
+    // ones; syncedVersion used to be an index and becomes a version id.
+    static normalizeSnippet(snippet) {
+      if (!snippet || !Array.isArray(snippet.versions)) {
+        return snippet;
+      }
+
+      snippet.versions.forEach(version => {
+        if (!version.id) {
+          version.id = `ver_${version.version}_${new Date(version.timestamp).getTime().toString(36)}`;
+        }
+      });
+      if (!snippet.versions[snippet.currentVersion] && snippet.versions.length > 0) {
+        snippet.currentVersion = snippet.versions.length - 1;
+      }
+      if (typeof snippet.syncedVersion === 'number') {
+        const synced = snippet.versions[snippet.syncedVersion];
+        snippet.syncedVersion = synced ? synced.id : null;
+      }
+      // Snippets from before drafts existed were live at their current version
+      if (snippet.publishedVersion === undefined) {
+        snippet.publishedVersion = StorageManager.currentVersionId(snippet);
+      }
+      // ...and translations from before they were published went live as saved
+      if (snippet.translations && snippet.publishedTranslations === undefined) {
+        StorageManager.publishTranslations(snippet);
+      }
+      return snippet;
+    }
+
+    // Schedule window of a version in milliseconds; null ends are open
+    static scheduleWindow(version) {
+      const timeZone = version.timezone || CONFIG.scheduleTimezone;
+      return {
+        start: Utils.parseScheduleTime(version.publishAt, timeZone),
+        end: Utils.parseScheduleTime(version.expiresAt, timeZone)
+      };
+    }
+
+    // Has a schedule that hasn't run out yet
+    static isScheduled(version, now = Date.now()) {
+      if (!version.publishAt && !version.expiresAt) return false;
+      const { end } = StorageManager.scheduleWindow(version);
+      return end === null || end > now;
+    }
+
+    // The version the live site shows at a given time: a version whose
+    // publishAt..expiresAt window is open wins (the latest start if several
+    // are), otherwise the published version, as long as it hasn't expired
+    static activeVersion(snippet, now = Date.now()) {
+      if (!snippet) return null;
+
+      const isOpen = ({ start, end }) => (start === null || start <= now) && (end === null || now < end);
+      const scheduled = snippet.versions
+        .filter(version => version.publishAt)
+        .map(version => ({ version, window: StorageManager.scheduleWindow(version) }))
+        .filter(({ window }) => isOpen(window))
+        .sort((a, b) => b.window.start - a.window.start);
+
+      if (scheduled.length > 0) {
+        return scheduled[0].version;
+      }
+
+      const published = StorageManager.publishedEntry(snippet);
+      return published && isOpen(StorageManager.scheduleWindow(published)) ? published : null;
+    }
+
+    // Upcoming moments where the live version of a snippet changes:
+    // [{ time, from, to }] with from/to being versions or null
+    static scheduleChanges(snippet, now = Date.now()) {
+      const times = new Set();
+      snippet.versions.forEach(version => {
+        const { start, end } = StorageManager.scheduleWindow(version);
+        [start, end].forEach(time => {
+          if (time !== null && time > now) times.add(time);
+        });
+      });
+
+      return Array.from(times)
+        .sort((a, b) => a - b)
+        .map(time => ({
+          time,
+          from: StorageManager.activeVersion(snippet, time - 1),
+          to: StorageManager.activeVersion(snippet, time)
+        }))
+        .filter(change => change.from !== change.to);
+    }
+
+    static publishedEntry(snippet) {
+      return (snippet && snippet.versions.find(version => version.id === snippet.publishedVersion)) || null;
+    }
+
+    // Whether the editor's working copy differs from what the live site shows
+    static hasDraft(snippet) {
+      return snippet.publishedVersion !== StorageManager.currentVersionId(snippet) ||
+        StorageManager.hasTranslationDraft(snippet);
+    }
+
+    // Translations saved since the snippet was last published
+    static hasTranslationDraft(snippet) {
+      return JSON.stringify(snippet.translations || {}) !== JSON.stringify(snippet.publishedTranslations || {});
+    }
+
+    static publishTranslations(snippet) {
+      if (snippet.translations) {
+        snippet.publishedTranslations = JSON.parse(JSON.stringify(snippet.translations));
+      } else {
+        delete snippet.publishedTranslations;
+      }
+    }
+
+    static currentVersionId(snippet) {
+      const version = snippet && snippet.versions[snippet.currentVersion];
+      return version ? version.id : null;
+    }
+
+    // Whether the current version is the one last confirmed by the remote adapter
+    static isSynced(snippet) {
+      return snippet.syncedVersion === StorageManager.currentVersionId(snippet);
+    }
+
+    // Remember what the server holds: its current version, plus a fingerprint
+    // of the whole record so rebase() can tell which side changed since.
+    // After a write, sent is the syncPoint() of what went out, so edits made
+    // while it was in flight still count as unsynced.
+    static setSynced(snippet, sent = StorageManager.syncPoint(snippet)) {
+      snippet.syncedVersion = sent.version;
+      snippet.syncedHash = sent.hash;
+    }
+
+    static syncPoint(snippet) {
+      return { version: StorageManager.currentVersionId(snippet), hash: StorageManager.fingerprint(snippet) };
+    }
+
+    // Records synced before fingerprints existed only have the version to go by
+    static unchangedSinceSync(snippet) {
+      if (snippet.syncedHash === undefined) {
+        return StorageManager.isSynced(snippet);
+      }
+      return StorageManager.fingerprint(snippet) === snippet.syncedHash;
+    }
+
+    async deleteSnippet(snippetId) {
+      const allSnippets = await this.getAllSnippets();
+      const revision = allSnippets[snippetId] && allSnippets[snippetId].revision;
+      delete allSnippets[snippetId];
+      
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, null);
+      
+      await this.saveRemote(snippetId, { revision });
+    }
+
+    // Restoring never rewinds history: the old content comes back as a new
+    // version that records where it came from
+    async restoreVersion(snippetId, versionId, author = 'unknown') {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+      const source = snippet && snippet.versions.find(version => version.id === versionId);
+
+      if (!source) {
+        throw new Error('Version not found');
+      }
+
+      const newVersion = StorageManager.appendVersion(snippet, {
+        html: source.html,
+        author,
+        restoredFrom: { id: source.id, version: source.version }
+      });
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId, { version: newVersion.version });
+
+      return newVersion;
+    }
+
+    // Make a version (the current draft by default) the one the live site renders
+    async publish(snippetId, versionId = null) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+      const version = snippet && (versionId
+        ? snippet.versions.find(v => v.id === versionId)
+        : snippet.versions[snippet.currentVersion]);
+
+      if (!version) {
+        throw new Error('Version not found');
+      }
+
+      snippet.publishedVersion = version.id;
+      StorageManager.publishTranslations(snippet);
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return version;
+    }
+
+    async unpublish(snippetId) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      snippet.publishedVersion = null;
+      // A running A/B test would keep it live
+      delete snippet.experiment;
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+    }
+
+    // Publish every snippet's current draft together, uploaded as one batch
+    async publishAllDrafts() {
+      const allSnippets = await this.getAllSnippets();
+      const publishedIds = [];
+
+      for (const snippetId of Object.keys(allSnippets)) {
+        const snippet = allSnippets[snippetId];
+        if (!StorageManager.hasDraft(snippet) || !StorageManager.currentVersionId(snippet)) continue;
+
+        snippet.publishedVersion = StorageManager.currentVersionId(snippet);
+        StorageManager.publishTranslations(snippet);
+        await this.saveLocal(snippetId, snippet);
+        publishedIds.push(snippetId);
+      }
+
+      this.cache = allSnippets;
+      await this.saveRemoteBatch(publishedIds);
+      return publishedIds;
+    }
+
+    // schedule is { publishAt, expiresAt, timezone }; empty values clear them
+    async scheduleVersion(snippetId, versionId, schedule) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+      const version = snippet && snippet.versions.find(v => v.id === versionId);
+
+      if (!version) {
+        throw new Error('Version not found');
+      }
+
+      if (schedule.timezone && !Utils.isValidTimeZone(schedule.timezone)) {
+        throw new Error(`Unknown time zone "${schedule.timezone}"`);
+      }
+
+      const { start, end } = StorageManager.scheduleWindow(schedule);
+      if ((schedule.publishAt && start === null) || (schedule.expiresAt && end === null)) {
+        throw new Error('Invalid date');
+      }
+      if (start !== null && end !== null && end <= start) {
+        throw new Error('The expiry must be after the publish time');
+      }
+
+      ['publishAt', 'expiresAt', 'timezone'].forEach(field => {
+        if (schedule[field]) {
+          version[field] = schedule[field];
+        } else {
+          delete version[field];
+        }
+      });
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return version;
+    }
+
+    // Pinned versions are never removed when old versions are trimmed
+    async pinVersion(snippetId, versionId, pinned) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+      const version = snippet && snippet.versions.find(v => v.id === versionId);
+
+      if (!version) {
+        throw new Error('Version not found');
+      }
+
+      if (pinned) {
+        version.pinned = true;
+      } else {
+        delete version.pinned;
+      }
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return version;
+    }
+
+    async updateSnippetVariables(snippetId, variables) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      snippet.variables = { ...variables };
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet;
+    }
+
+    // Empty html removes the translation
+    async saveTranslation(snippetId, locale, html, author = 'unknown') {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+      const key = Localization.normalize(locale);
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+      if (!key || key === Localization.normalize(CONFIG.locales.default)) {
+        throw new Error(`Choose a locale other than the default (${CONFIG.locales.default})`);
+      }
+
+      const translations = { ...snippet.translations };
+      if (html.trim()) {
+        translations[key] = { html, timestamp: new Date().toISOString(), author };
+      } else {
+        delete translations[key];
+      }
+
+      if (Object.keys(translations).length > 0) {
+        snippet.translations = translations;
+      } else {
+        delete snippet.translations;
+      }
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet;
+    }
+
+    // variants is [{ versionId, weight }]; the experiment id only changes when a
+    // new experiment starts, so visitors keep their variant when weights change
+    async setExperiment(snippetId, variants) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      if (variants.length < 2) {
+        throw new Error('An experiment needs at least two variants');
+      }
+      if (variants.some(variant => !snippet.versions.some(version => version.id === variant.versionId))) {
+        throw new Error('Version not found');
+      }
+      if (variants.some(variant => !(variant.weight >= 0)) || !variants.some(variant => variant.weight > 0)) {
+        throw new Error('Weights must be zero or more, and not all zero');
+      }
+
+      snippet.experiment = {
+        id: snippet.experiment ? snippet.experiment.id : `exp_${Date.now().toString(36)}`,
+        variants: variants.map(({ versionId, weight }) => ({ versionId, weight })),
+        startedAt: snippet.experiment ? snippet.experiment.startedAt : new Date().toISOString()
+      };
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet.experiment;
+    }
+
+    // Ends the experiment; with a winner that version is published for everyone
+    async endExperiment(snippetId, winnerId = null) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      if (winnerId) {
+        if (!snippet.versions.some(version => version.id === winnerId)) {
+          throw new Error('Version not found');
+        }
+        snippet.publishedVersion = winnerId;
+      }
+      delete snippet.experiment;
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet;
+    }
+
+    // targeting is { match, rules, fallback, fallbackVersion } (see Targeting), or null to show it everywhere
+    async setTargeting(snippetId, targeting) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      if (targeting && targeting.rules && targeting.rules.length > 0) {
+        snippet.targeting = targeting;
+      } else {
+        delete snippet.targeting;
+      }
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet;
+    }
+
+    // Tags and a folder only organize the Manage tab; empty values are removed
+    async setOrganization(snippetId, { tags = [], folder = '' } = {}) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      const cleanTags = Array.from(new Set(tags.map(tag => String(tag).trim()).filter(Boolean)));
+      if (cleanTags.length > 0) {
+        snippet.tags = cleanTags;
+      } else {
+        delete snippet.tags;
+      }
+
+      const cleanFolder = String(folder || '').trim();
+      if (cleanFolder) {
+        snippet.folder = cleanFolder;
+      } else {
+        delete snippet.folder;
+      }
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet;
+    }
+
+    async setRunScripts(snippetId, enabled) {
+      const allSnippets = await this.getAllSnippets();
+      const snippet = allSnippets[snippetId];
+
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      if (enabled) {
+        snippet.runScripts = true;
+      } else {
+        delete snippet.runScripts;
+      }
+
+      this.cache = allSnippets;
+      await this.saveLocal(snippetId, snippet);
+      await this.saveRemote(snippetId);
+
+      return snippet;
+    }
+
+    // Write imported snippets, keeping the revisions of the copies they
+    // replace so the upload is checked for conflicts like any other edit
+    async importSnippets(snippets) {
+      const allSnippets = await this.getAllSnippets();
+      const snippetIds = Object.keys(snippets);
+
+      for (const snippetId of snippetIds) {
+        const existing = allSnippets[snippetId];
+        const snippet = StorageManager.normalizeSnippet(ImportExport.strip(snippets[snippetId]));
+        if (existing && existing.revision) {
+          snippet.revision = existing.revision;
+        }
+        snippet.syncedVersion = existing ? existing.syncedVersion : null;
+        snippet.syncedHash = existing ? existing.syncedHash : undefined;
+        snippet.id = snippetId;
+        allSnippets[snippetId] = snippet;
+        await this.saveLocal(snippetId, snippet);
+      }
+
+      this.cache = allSnippets;
+      await this.saveRemoteBatch(snippetIds);
+      return snippetIds;
+    }
+
+    // Replace every stored snippet, e.g. after an import
+    async replaceAll(snippets) {
+      const removedIds = Object.keys(this.cache || {}).filter(snippetId => !snippets[snippetId]);
+      Object.values(snippets).forEach(StorageManager.normalizeSnippet);
+      this.cache = snippets;
+      await this.replaceLocal(snippets);
+
+      if (this.remote) {
+        await StorageManager.replaceIn(this.remote, snippets);
+      }
+      this.emitChanges([...Object.keys(snippets), ...removedIds]);
+    }
+
+    // Usage and quota where the browser reports them. They cover everything
+    // the site stores in this browser, not only snippets.
+    async estimate() {
+      if (this.local.estimate) {
+        return this.local.estimate();
+      }
+
+      const estimate = navigator.storage && navigator.storage.estimate
+        ? await navigator.storage.estimate()
+        : {};
+      return { backend: CONFIG.storage.local, usage: estimate.usage, quota: estimate.quota };
+    }
+
+    // Forget the local copy; the remote copy is left untouched
+    async clearLocal() {
+      this.cache = {};
+      await this.replaceLocal({});
+      localStorage.removeItem(CONFIG.syncStateKey);
+      this.queue.clear();
+      this.notifySyncStatus();
+    }
+
+    // Copies fetched from the remote adapter pass broadcast: false - other tabs
+    // pick those up when they revalidate themselves
+    async saveLocal(snippetId, snippet, { broadcast = true } = {}) {
+      try {
+        if (snippet) {
+          await this.local.put(snippetId, snippet);
+        } else {
+          await this.local.delete(snippetId);
+        }
+        if (broadcast) {
+          this.broadcastChange([snippetId]);
+        }
+      } catch (e) {
+        Utils.error('Failed to save to local storage', e);
+      }
+    }
+
+    // Tell other tabs and windows on this origin which snippets changed locally
+    // (null means all of them). BroadcastChannel reaches open tabs directly; the
+    // storage event covers browsers without it. Receivers drop the duplicate.
+    broadcastChange(snippetIds) {
+      const message = { source: this.tabId, id: Utils.generateRevision(), snippetIds };
+
+      if (this.channel) {
+        this.channel.postMessage(message);
+      }
+      try {
+        localStorage.setItem(CONFIG.broadcastKey, JSON.stringify(message));
+      } catch (e) {
+        Utils.error('Failed to broadcast snippet change', e);
+      }
+    }
+
+    listenForChanges() {
+      if (window.BroadcastChannel) {
+        this.channel = new BroadcastChannel(CONFIG.broadcastChannel);
+        this.channel.onmessage = event => this.receiveChange(event.data);
+      }
+
+      window.addEventListener('storage', event => {
+        if (event.key !== CONFIG.broadcastKey || !event.newValue) return;
+        try {
+          this.receiveChange(JSON.parse(event.newValue));
+        } catch (e) {
+          Utils.error('Failed to read snippet change', e);
+        }
+      });
+    }
+
+    // Refresh the cached copies another tab changed, then let the page re-render them
+    async receiveChange(message) {
+      if (!message || message.source === this.tabId || this.seenChanges.includes(message.id)) {
+        return;
+      }
+      this.seenChanges = [...this.seenChanges.slice(-19), message.id];
+
+      // The other tab may have queued or sent writes too
+      this.queue.reload();
+      this.notifySyncStatus();
+
+      // Nothing loaded yet; the first read will see the new data
+      if (!this.cache) return;
+
+      let snippetIds = message.snippetIds;
+      if (snippetIds) {
+        for (const snippetId of snippetIds) {
+          const snippet = await this.local.get(snippetId);
+          if (snippet) {
+            this.cache[snippetId] = snippet;
+          } else {
+            delete this.cache[snippetId];
+          }
+        }
+      } else {
+        const snippets = await this.local.list();
+        snippetIds = [...new Set([...Object.keys(this.cache), ...Object.keys(snippets)])];
+        snippetIds.forEach(snippetId => {
+          if (snippets[snippetId]) {
+            this.cache[snippetId] = snippets[snippetId];
+          } else {
+            delete this.cache[snippetId];
+          }
+        });
+      }
+
+      Utils.log(`Snippets changed in another tab: ${snippetIds.join(', ')}`);
+      if (this.onExternalChange) {
+        this.onExternalChange(snippetIds);
+      }
+    }
+
+    // Queue a remote write and, in the editor, try to send it (see startSync).
+    // Queued writes survive reloads, are retried with backoff, and read the
+    // snippet (and its revision) from the cache when they are sent, so rapid
+    // saves never race each other.
+    //
+    // options.revision is the last known revision of a deleted snippet;
+    // options.version / options.deletedVersion (version numbers) let the adapter
+    // send just that version instead of the whole snippet.
+    saveRemote(snippetId, options = {}) {
+      this.emitChanges([snippetId]);
+
+      if (!this.remote) {
+        return Promise.resolve();
+      }
+
+      this.queue.add({ snippetId, ...options });
+      return this.syncing ? this.flushQueue() : Promise.resolve();
+    }
+
+    // Upload several snippets together; the queue batches them when the adapter can
+    saveRemoteBatch(snippetIds) {
+      this.emitChanges(snippetIds);
+
+      if (!this.remote || snippetIds.length === 0) {
+        return Promise.resolve();
+      }
+
+      snippetIds.forEach(snippetId => this.queue.add({ snippetId }));
+      return this.syncing ? this.flushQueue() : Promise.resolve();
+    }
+
+    // Every change made in this tab goes through saveRemote, so announce it there
+    emitChanges(snippetIds) {
+      snippetIds.forEach(snippetId => {
+        const snippet = this.cache && this.cache[snippetId];
+        if (snippet) {
+          const version = snippet.versions[snippet.currentVersion];
+          Events.emit('saved', { snippetId, version: version ? version.version : null, versionId: version ? version.id : null });
+        } else {
+          Events.emit('deleted', { snippetId });
+        }
+      });
+    }
+
+    // Runs one flush at a time; writes queued meanwhile trigger another pass
+    flushQueue() {
+      if (this.flushing) {
+        this.flushRequested = true;
+        return this.flushing;
+      }
+
+      this.flushing = this.runQueue().finally(() => {
+        this.flushing = null;
+        if (this.flushRequested) {
+          this.flushRequested = false;
+          return this.flushQueue();
+        }
+      });
+      return this.flushing;
+    }
+
+    async runQueue() {
+      clearTimeout(this.retryTimer);
+      this.nextRetryAt = null;
+
+      if (!this.remote || this.queue.size === 0) {
+        this.notifySyncStatus();
+        return;
+      }
+
+      if (navigator.onLine === false) {
+        Utils.log(`Offline, keeping ${this.queue.size} change(s) queued`);
+        this.notifySyncStatus();
+        return;
+      }
+
+      try {
+        // Conflicts stay queued until the editor resolves them, and go out
+        // again after a reload so the conflict shows up again
+        const entries = this.queue.entries.filter(entry => !this.conflicts[entry.snippetId]);
+        if (this.remote.batch && entries.length > 1) {
+          await this.pushBatch(entries);
+        } else {
+          for (const entry of entries) {
+            await this.pushEntry(entry);
+          }
+        }
+
+        this.retryAttempts = 0;
+        this.lastSyncError = null;
+        this.saveSyncState({ lastSyncAt: new Date().toISOString() });
+      } catch (e) {
+        Utils.error('Failed to save to remote storage', e);
+        this.lastSyncError = e.message;
+        this.scheduleRetry();
+      }
+
+      this.notifySyncStatus();
+    }
+
+    // Exponential backoff with a little jitter, capped at CONFIG.syncRetryMaxDelay
+    scheduleRetry() {
+      const delay = Math.min(
+        CONFIG.syncRetryBaseDelay * Math.pow(2, this.retryAttempts),
+        CONFIG.syncRetryMaxDelay
+      ) + Math.round(Math.random() * 1000);
+
+      this.retryAttempts++;
+      this.nextRetryAt = Date.now() + delay;
+      this.retryTimer = setTimeout(() => this.flushQueue(), delay);
+      Utils.log(`Retrying ${this.queue.size} queued change(s) in ${Math.round(delay / 1000)}s`);
+    }
+
+    async pushEntry(entry) {
+      try {
+        await this.pushRemote(entry.snippetId, entry);
+      } catch (e) {
+        // Conflicts wait for the editor; anything else is retried with backoff.
+        // Either way the entry stays queued.
+        if (!(e instanceof SnippetConflictError)) {
+          throw e;
+        }
+        return;
+      }
+      this.queue.remove(entry.snippetId, entry.seq);
+    }
+
+    async pushBatch(entries) {
+      const sent = new Map();
+      const operations = entries.map(entry => {
+        const snippet = this.cache[entry.snippetId];
+        if (snippet) {
+          sent.set(entry.snippetId, StorageManager.syncPoint(snippet));
+        }
+        return snippet
+          ? { op: 'put', id: entry.snippetId, snippet, revision: snippet.revision }
+          : { op: 'delete', id: entry.snippetId, revision: entry.revision };
+      });
+      const seqs = new Map(entries.map(entry => [entry.snippetId, entry.seq]));
+      const results = await this.remote.batch(operations);
+      // Anything the server failed or left out stays queued for the retry
+      const failed = entries
+        .map(entry => entry.snippetId)
+        .filter(snippetId => !results.some(result => result.id === snippetId));
+
+      for (const result of results) {
+        const snippet = this.cache[result.id];
+
+        if (result.status === 'ok') {
+          if (snippet && sent.has(result.id)) {
+            this.markSynced(snippet, result, sent.get(result.id));
+            await this.saveLocal(result.id, snippet);
+          }
+          delete this.conflicts[result.id];
+          this.queue.remove(result.id, seqs.get(result.id));
+        } else if (result.status === 'conflict') {
+          const outcome = await this.rebase(result.id, result.remote || null);
+          if (outcome === 'retry') {
+            this.flushRequested = true;
+          } else if (outcome === 'resolved') {
+            this.queue.remove(result.id, seqs.get(result.id));
+          }
+        } else {
+          failed.push(result.id);
+        }
+      }
+
+      if (failed.length > 0) {
+        throw new Error(`Batch failed for ${failed.length} snippet(s): ${failed.join(', ')}`);
+      }
+    }
+
+    async pushRemote(snippetId, options = {}, retried = false) {
+      const snippet = this.cache && this.cache[snippetId];
+
+      try {
+        if (snippet) {
+          const sent = StorageManager.syncPoint(snippet);
+          const result = await this.sendSnippet(snippetId, snippet, options);
+          this.markSynced(snippet, result, sent);
+          await this.saveLocal(snippetId, snippet);
+        } else {
+          await this.remote.delete(snippetId, options.revision);
+        }
+        delete this.conflicts[snippetId];
+      } catch (e) {
+        if (e instanceof SnippetConflictError && !retried) {
+          const outcome = await this.rebase(snippetId, e.remote);
+          if (outcome === 'retry') {
+            return this.pushRemote(snippetId, { revision: e.remote && e.remote.revision }, true);
+          }
+          if (outcome === 'resolved') {
+            return;
+          }
+        }
+        throw e;
+      }
+    }
+
+    // Send one version on its own only when everything before it is already on
+    // the server; otherwise fall back to uploading the whole snippet
+    sendSnippet(snippetId, snippet, options) {
+      const index = options.version !== undefined ? StorageManager.findVersionIndex(snippet, options.version) : -1;
+      const previous = snippet.versions[index - 1];
+      const onlyNewVersion = index > 0 && previous.id === snippet.syncedVersion;
+
+      if (snippet.revision && this.remote.putVersion && onlyNewVersion) {
+        return this.remote.putVersion(snippetId, snippet.versions[index], snippet.revision);
+      }
+      const inSync = StorageManager.isSynced(snippet);
+      if (snippet.revision && this.remote.deleteVersion && options.deletedVersion !== undefined && inSync) {
+        return this.remote.deleteVersion(snippetId, options.deletedVersion, snippet.revision);
+      }
+      return this.remote.put(snippetId, snippet);
+    }
+
+    // Newest version carrying this number
+    static findVersionIndex(snippet, versionNumber) {
+      for (let i = snippet.versions.length - 1; i >= 0; i--) {
+        if (snippet.versions[i].version === versionNumber) return i;
+      }
+      return -1;
+    }
+
+    markSynced(snippet, result, sent) {
+      if (result && result.revision !== undefined) {
+        snippet.revision = result.revision;
+      }
+      StorageManager.setSynced(snippet, sent);
+    }
+
+    getSyncStatus() {
+      return {
+        enabled: !!this.remote,
+        pending: this.queue.size,
+        online: navigator.onLine !== false,
+        lastSyncAt: this.loadSyncState().lastSyncAt || null,
+        lastError: this.lastSyncError,
+        nextRetryAt: this.nextRetryAt
+      };
+    }
+
+    notifySyncStatus() {
+      if (this.onSyncStatus) {
+        this.onSyncStatus(this.getSyncStatus());
+      }
+    }
+
+    // Three-way check against the record we last synced. Resolves to 'retry'
+    // when the write can go on top of the remote revision, 'resolved' when the
+    // remote copy was taken, or 'conflict' when the editor has to choose.
+    async rebase(snippetId, remote) {
+      const mine = this.cache[snippetId] || null;
+      if (remote) {
+        StorageManager.normalizeSnippet(remote);
+      }
+
+      // Both sides already agree - versions, pointers and settings alike - or
+      // the remote copy is gone and we deleted too. Nothing is left to write.
+      const agree = mine && remote
+        ? StorageManager.fingerprint(mine) === StorageManager.fingerprint(remote)
+        : !mine && !remote;
+      if (agree) {
+        if (remote) {
+          StorageManager.setSynced(remote);
+          this.cache[snippetId] = remote;
+          await this.saveLocal(snippetId, remote);
+        }
+        return 'resolved';
+      }
+
+      // Nothing changed here since the last sync - take the remote copy
+      if (mine && remote && StorageManager.unchangedSinceSync(mine)) {
+        StorageManager.setSynced(remote);
+        this.cache[snippetId] = remote;
+        await this.saveLocal(snippetId, remote);
+        return 'resolved';
+      }
+
+      // Only our side changed - the remote copy is still the one we last
+      // synced, so the write can go on top of its revision
+      if (mine && remote && mine.syncedHash !== undefined && StorageManager.fingerprint(remote) === mine.syncedHash) {
+        mine.revision = remote.revision;
+        return 'retry';
+      }
+
+      const base = mine && mine.versions.find(v => v.id === mine.syncedVersion);
+      this.conflicts[snippetId] = { snippetId, base: base || null, mine, theirs: remote };
+      Utils.log(`Conflict detected for snippet: ${snippetId}`);
+
+      if (this.onConflict) {
+        this.onConflict(this.conflicts);
+      }
+      return 'conflict';
+    }
+
+    // choice is 'mine', 'theirs' or 'both' (the remote copy plus ours as a new version)
+    async resolveConflict(snippetId, choice) {
+      const conflict = this.conflicts[snippetId];
+      if (!conflict) {
+        throw new Error('Conflict not found');
+      }
+
+      const { mine, theirs } = conflict;
+      const theirsRevision = theirs ? theirs.revision : undefined;
+      delete this.conflicts[snippetId];
+      // The write that conflicted is settled here; a new one is queued below if needed
+      this.queue.remove(snippetId);
+
+      if (choice === 'theirs' || (choice === 'both' && !mine)) {
+        if (theirs) {
+          StorageManager.setSynced(theirs);
+          this.cache[snippetId] = theirs;
+        } else {
+          delete this.cache[snippetId];
+        }
+        await this.saveLocal(snippetId, theirs);
+        return theirs;
+      }
+
+      let resolved = null;
+      if (mine && (choice === 'mine' || !theirs)) {
+        resolved = { ...mine, revision: theirsRevision };
+      } else if (mine && choice === 'both') {
+        resolved = { ...theirs, versions: theirs.versions.slice() };
+        StorageManager.appendVersion(resolved, {
+          html: StorageManager.currentHtml(mine),
+          author: mine.versions[mine.currentVersion] ? mine.versions[mine.currentVersion].author : 'unknown'
+        });
+      }
+
+      if (resolved) {
+        this.cache[snippetId] = resolved;
+      } else {
+        delete this.cache[snippetId];
+      }
+      await this.saveLocal(snippetId, resolved);
+      await this.saveRemote(snippetId, { revision: theirsRevision });
+      return resolved;
+    }
+
+    // Hash of everything in a record but the sync bookkeeping, independent of key order
+    static fingerprint(snippet) {
+      const canonical = value => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (!value || typeof value !== 'object') return value;
+        const sorted = {};
+        Object.keys(value).sort().forEach(key => {
+          sorted[key] = canonical(value[key]);
+        });
+        return sorted;
+      };
+      return Utils.hashString(JSON.stringify(canonical(ImportExport.strip(snippet))));
+    }
+
+    static currentHtml(snippet) {
+      const version = snippet && snippet.versions[snippet.currentVersion];
+      return version ? version.html : null;
+    }
+
+    async replaceLocal(snippets, { broadcast = true } = {}) {
+      try {
+        await StorageManager.replaceIn(this.local, snippets);
+        if (broadcast) {
+          this.broadcastChange(null);
+        }
+      } catch (e) {
+        Utils.error('Failed to save to local storage', e);
+      }
+    }
+
+    // Use the adapter's bulk write when it has one, otherwise diff and write per snippet
+    static async replaceIn(adapter, snippets) {
+      if (adapter.replaceAll) {
+        await adapter.replaceAll(snippets);
+        return;
+      }
+
+      const existing = await adapter.list();
+      for (const id of Object.keys(existing)) {
+        if (!snippets[id]) {
+          await adapter.delete(id);
+        }
+      }
+      for (const id of Object.keys(snippets)) {
+        await adapter.put(id, snippets[id]);
+      }
+    }
+  }
+
+  // UI Manager - handles all UI components
+  class UIManager {
+    constructor(snippetManager) {
+      this.snippetManager = snippetManager;
+      this.controlPanel = null;
+      this.selectedElement = null;
+      this.usageScan = null; // { progress } while a "where used" scan runs
+      this.listFilter = { query: '', sort: 'name', tag: '', folder: '' };
+    }
+
+    init() {
+      this.injectStyles();
+      this.createControlPanel();
+      this.setupSelectionHandler();
+      this.markExistingSnippets();
+
+      // Stale remote writes surface here for the editor to resolve
+      this.snippetManager.storage.onConflict = () => {
+        this.showStatus('Another editor changed a snippet you edited', 'error');
+        this.updateSnippetsList();
+        this.showConflicts();
+      };
+
+      this.snippetManager.storage.onSyncStatus = status => this.renderSyncStatus(status);
+      this.renderSyncStatus(this.snippetManager.storage.getSyncStatus());
+    }
+
+    // Pending remote writes, last successful sync and retry state
+    renderSyncStatus(status) {
+      const bar = document.getElementById('sync-status');
+      if (!bar) return;
+
+      if (!status.enabled) {
+        bar.style.display = 'none';
+        return;
+      }
+
+      const lastSync = status.lastSyncAt
+        ? `Last synced ${new Date(status.lastSyncAt).toLocaleString()}`
+        : 'Not synced yet';
+      let state = 'synced';
+      let text = `✅ All changes saved · ${lastSync}`;
+
+      if (status.pending > 0) {
+        const pending = `${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync`;
+
+        if (!status.online) {
+          state = 'pending';
+          text = `📴 Offline · ${pending}`;
+        } else if (status.lastError) {
+          state = 'error';
+          text = status.nextRetryAt
+            ? `⚠️ ${pending} · next retry ${new Date(status.nextRetryAt).toLocaleTimeString()}`
+            : `⚠️ ${pending}`;
+        } else {
+          state = 'pending';
+          text = `⏳ ${pending}`;
+        }
+      }
+
+      bar.className = `sync-status ${state}`;
+      bar.style.display = 'flex';
+      bar.innerHTML = `
+        <span title="${Utils.escapeHtml(status.lastError || lastSync)}">${Utils.escapeHtml(text)}</span>
+        ${status.pending > 0 && status.online ? '<button type="button" id="sync-retry-now">Retry now</button>' : ''}
+        ${status.pending === 0 && status.online ? '<button type="button" id="sync-refresh">Refresh</button>' : ''}
+      `;
+
+      const refresh = bar.querySelector('#sync-refresh');
+      if (refresh) {
+        refresh.addEventListener('click', async () => {
+          const changedIds = await this.snippetManager.storage.refresh();
+          if (changedIds.length === 0) {
+            this.showStatus('Already up to date', 'info');
+          }
+        });
+      }
+
+      const retry = bar.querySelector('#sync-retry-now');
+      if (retry) {
+        retry.addEventListener('click', () => {
+          this.snippetManager.storage.retryAttempts = 0;
+          this.snippetManager.storage.flushQueue();
+        });
+      }
+    }
+
+    injectStyles() {
+      const style = document.createElement('style');
+      style.id = 'global-snippets-styles';
+      style.textContent = `
+        /* Global Snippet Indicators */
+        [${CONFIG.snippetAttribute}] {
+          position: relative;
+          outline: 2px dashed #FF6B6B !important;
+          outline-offset: 4px;
+        }
+        
+        [${CONFIG.snippetAttribute}]::before {
+          content: '✂️ GLOBAL: ' attr(${CONFIG.snippetAttribute});
+          position: absolute;
+          top: -24px;
+          left: 0;
+          background: #FF6B6B;
+          color: white;
+          padding: 4px 12px;
+          font-size: 11px;
+          font-weight: 600;
+          border-radius: 4px 4px 0 0;
+          z-index: 1000;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          letter-spacing: 0.5px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        [${CONFIG.snippetAttribute}]:hover::before {
+          background: #EE5A52;
+        }
+        
+        /* Control Panel */
+        .global-snippets-panel {
+          position: fixed;
+          top: 80px;
+          right: 20px;
+          width: 380px;
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 8px 32px rgba(0,0,0,0.12);
+          z-index: 999999;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          max-height: calc(100vh - 100px);
+          display: flex;
+          flex-direction: column;
+          overflow: hidden;
+          transition: all 0.3s ease;
+        }
+
+        .global-snippets-panel.minimized {
+          width: 60px;
+          height: 60px;
+          cursor: pointer;
+          border-radius: 50%;
+          overflow: visible;
+        }
+
+        .global-snippets-panel.minimized .panel-content {
+          display: none;
+        }
+
+        .panel-header {
+          background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
+          color: white;
+          padding: 16px 20px;
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          cursor: move;
+          user-select: none;
+          border-radius: 12px 12px 0 0;
+          transition: all 0.3s ease;
+        }
+
+        .global-snippets-panel.minimized .panel-header {
+          padding: 0;
+          justify-content: center;
+          align-items: center;
+          cursor: pointer;
+          border-radius: 50%;
+          width: 60px;
+          height: 60px;
+        }
+
+        .panel-title {
+          font-size: 16px;
+          font-weight: 600;
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .global-snippets-panel.minimized .panel-title {
+          display: none;
+        }
+
+        .panel-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .global-snippets-panel.minimized .panel-actions {
+          position: static;
+          width: 100%;
+          height: 100%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 0;
+        }
+
+        .panel-btn {
+          background: rgba(255,255,255,0.2);
+          border: none;
+          color: white;
+          width: 28px;
+          height: 28px;
+          border-radius: 6px;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          transition: all 0.2s;
+          font-size: 16px;
+        }
+
+        .panel-btn:hover {
+          background: rgba(255,255,255,0.3);
+          transform: scale(1.05);
+        }
+
+        /* Minimized button styling */
+        .global-snippets-panel.minimized .panel-btn {
+          width: 100%;
+          height: 100%;
+          font-size: 32px !important;
+          background: transparent;
+          border-radius: 50%;
+          position: static;
+          line-height: 1;
+          padding: 0;
+        }
+
+        .global-snippets-panel.minimized .panel-btn:hover {
+          background: rgba(255,255,255,0.15);
+          transform: scale(1.1);
+        }
+
+        /* Hide help button when minimized */
+        .global-snippets-panel.minimized #help-panel {
+          display: none;
+        }
+        
+        /* Ensure emoji is visible */
+        .global-snippets-panel.minimized #minimize-panel {
+          display: flex !important;
+          align-items: center !important;
+          justify-content: center !important;
+        }
+
+        .panel-content {
+          padding: 20px;
+          overflow-y: auto;
+          flex: 1;
+        }
+
+        /* Form Elements */
+        .form-group {
+          margin-bottom: 16px;
+        }
+
+        .form-label {
+          display: block;
+          font-size: 13px;
+          font-weight: 500;
+          color: #374151;
+          margin-bottom: 6px;
+        }
+
+        .form-input {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1.5px solid #e5e7eb;
+          border-radius: 8px;
+          font-size: 14px;
+          transition: all 0.2s;
+          box-sizing: border-box;
+        }
+
+        .form-input:focus {
+          outline: none;
+          border-color: #FF6B6B;
+          box-shadow: 0 0 0 3px rgba(255, 107, 107, 0.1);
+        }
+
+        .form-textarea {
+          min-height: 100px;
+          resize: vertical;
+          font-family: 'Monaco', 'Courier New', monospace;
+          font-size: 12px;
+        }
+
+        /* Buttons */
+        .btn {
+          width: 100%;
+          padding: 12px 20px;
+          border: none;
+          border-radius: 8px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+          transition: all 0.2s;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 8px;
+        }
+
+        .btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .btn-primary {
+          background: linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%);
+          color: white;
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          transform: translateY(-1px);
+          box-shadow: 0 4px 12px rgba(255, 107, 107, 0.4);
         }
 
         .btn-secondary {
@@ -532,724 +3808,2226 @@
           color: #374151;
         }
 
-        .btn-secondary:hover:not(:disabled) {
-          background: #e5e7eb;
+        .btn-secondary:hover:not(:disabled) {
+          background: #e5e7eb;
+        }
+
+        .btn-danger {
+          background: #ef4444;
+          color: white;
+        }
+
+        .btn-danger:hover:not(:disabled) {
+          background: #dc2626;
+          transform: translateY(-1px);
+          box-shadow: 0 4px 12px rgba(239, 68, 68, 0.4);
+        }
+
+        .btn-group {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 10px;
+          margin-top: 12px;
+        }
+
+        /* Snippet List */
+        .snippets-list {
+          margin-top: 20px;
+        }
+
+        .snippets-list-header {
+          font-size: 13px;
+          font-weight: 600;
+          color: #374151;
+          margin-bottom: 12px;
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+
+        .snippet-count {
+          background: #FF6B6B;
+          color: white;
+          padding: 2px 8px;
+          border-radius: 12px;
+          font-size: 11px;
+          font-weight: 600;
+        }
+
+        .snippet-item {
+          background: #f9fafb;
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+          padding: 12px;
+          margin-bottom: 8px;
+          transition: all 0.2s;
+        }
+
+        .snippet-item:hover {
+          border-color: #FF6B6B;
+          box-shadow: 0 2px 8px rgba(255, 107, 107, 0.1);
+        }
+
+        .snippet-item-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: 8px;
+        }
+
+        .snippet-item-id {
+          font-size: 13px;
+          font-weight: 600;
+          color: #111827;
+          font-family: 'Monaco', monospace;
+        }
+
+        .snippet-item-meta {
+          font-size: 11px;
+          color: #6b7280;
+        }
+
+        .snippet-item-actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin-top: 8px;
+        }
+
+        .snippet-status {
+          font-size: 10px;
+          font-weight: 600;
+          padding: 2px 8px;
+          border-radius: 10px;
+          background: #f3f4f6;
+          color: #6b7280;
+        }
+
+        .snippet-status.published {
+          background: #ecfdf5;
+          color: #065f46;
+        }
+
+        .snippet-status.draft {
+          background: #fffbeb;
+          color: #92400e;
+        }
+
+        .snippet-status.invalid {
+          background: #fef2f2;
+          color: #991b1b;
+        }
+
+        .snippet-tag {
+          margin: 2px 4px 0 0;
+          padding: 1px 8px;
+          border: none;
+          border-radius: 10px;
+          background: #eef2ff;
+          color: #4338ca;
+          font-size: 10px;
+          cursor: pointer;
+        }
+
+        .snippet-item-btn {
+          flex: 1;
+          padding: 6px 12px;
+          border: none;
+          border-radius: 6px;
+          font-size: 12px;
+          cursor: pointer;
+          transition: all 0.2s;
+          font-weight: 500;
+        }
+
+        .snippet-item-btn.view {
+          background: #fee2e2;
+          color: #dc2626;
+        }
+
+        .snippet-item-btn.view:hover {
+          background: #fecaca;
+        }
+
+        .snippet-item-btn.delete {
+          background: #fee2e2;
+          color: #dc2626;
+        }
+
+        .snippet-item-btn.delete:hover {
+          background: #fecaca;
+        }
+
+        /* Version History */
+        .version-history {
+          margin-top: 12px;
+          padding-top: 12px;
+          border-top: 1px solid #e5e7eb;
+        }
+
+        .version-history-title {
+          font-size: 12px;
+          font-weight: 600;
+          color: #374151;
+          margin-bottom: 8px;
+        }
+
+        .version-item {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 6px 10px;
+          background: white;
+          border: 1px solid #e5e7eb;
+          border-radius: 6px;
+          margin-bottom: 4px;
+          font-size: 11px;
+        }
+
+        .version-item.current {
+          background: #ecfdf5;
+          border-color: #10b981;
+        }
+
+        .version-item-info {
+          color: #6b7280;
+        }
+
+        .version-item-btn {
+          padding: 4px 10px;
+          background: #FF6B6B;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          font-size: 10px;
+          cursor: pointer;
+          font-weight: 500;
+        }
+
+        .version-item-btn:hover {
+          background: #EE5A52;
+        }
+
+        /* Empty State */
+        .empty-state {
+          text-align: center;
+          padding: 40px 20px;
+          color: #9ca3af;
+        }
+
+        .empty-state-icon {
+          font-size: 48px;
+          margin-bottom: 12px;
+        }
+
+        .empty-state-text {
+          font-size: 14px;
+          line-height: 1.6;
+        }
+
+        /* Status Messages */
+        .status-message {
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+          font-size: 13px;
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+
+        .status-message.success {
+          background: #ecfdf5;
+          color: #065f46;
+          border: 1px solid #10b981;
+        }
+
+        .status-message.error {
+          background: #fef2f2;
+          color: #991b1b;
+          border: 1px solid #ef4444;
+        }
+
+        .status-message.info {
+          background: #eff6ff;
+          color: #1e40af;
+          border: 1px solid #3b82f6;
+        }
+
+        /* Sync Status */
+        .sync-status {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 8px 12px;
+          margin-bottom: 16px;
+          border-radius: 8px;
+          font-size: 12px;
+          background: #f9fafb;
+          color: #6b7280;
+          border: 1px solid #e5e7eb;
+        }
+
+        .sync-status.pending {
+          background: #fffbeb;
+          color: #92400e;
+          border-color: #f59e0b;
+        }
+
+        .sync-status.error {
+          background: #fef2f2;
+          color: #991b1b;
+          border-color: #ef4444;
+        }
+
+        .sync-status button {
+          background: none;
+          border: none;
+          color: inherit;
+          font-size: 12px;
+          font-weight: 600;
+          text-decoration: underline;
+          cursor: pointer;
+          padding: 0;
+        }
+
+        /* Selection Indicator */
+        .selection-indicator {
+          position: absolute;
+          pointer-events: none;
+          border: 3px solid #FF6B6B;
+          background: rgba(255, 107, 107, 0.1);
+          z-index: 9999;
+          transition: all 0.15s ease;
+          box-shadow: 0 0 0 3px rgba(255, 107, 107, 0.2);
+        }
+
+        /* Tabs */
+        .tabs {
+          display: flex;
+          gap: 4px;
+          margin-bottom: 16px;
+          border-bottom: 2px solid #e5e7eb;
+        }
+
+        .tab {
+          padding: 10px 16px;
+          border: none;
+          background: none;
+          color: #6b7280;
+          font-size: 13px;
+          font-weight: 500;
+          cursor: pointer;
+          border-bottom: 2px solid transparent;
+          margin-bottom: -2px;
+          transition: all 0.2s;
+        }
+
+        .tab:hover {
+          color: #374151;
+        }
+
+        .tab.active {
+          color: #FF6B6B;
+          border-bottom-color: #FF6B6B;
+        }
+
+        .tab-content {
+          display: none;
+        }
+
+        .tab-content.active {
+          display: block;
+        }
+
+        /* Scrollbar */
+        .panel-content::-webkit-scrollbar {
+          width: 6px;
+        }
+
+        .panel-content::-webkit-scrollbar-track {
+          background: #f1f5f9;
+        }
+
+        .panel-content::-webkit-scrollbar-thumb {
+          background: #cbd5e1;
+          border-radius: 3px;
+        }
+
+        .panel-content::-webkit-scrollbar-thumb:hover {
+          background: #94a3b8;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    createControlPanel() {
+      const panel = document.createElement('div');
+      panel.className = 'global-snippets-panel';
+      panel.innerHTML = `
+        <div class="panel-header">
+          <div class="panel-title">
+            <span>✂️</span>
+            <span>Global Snippets</span>
+          </div>
+          <div class="panel-actions">
+            <button class="panel-btn" id="minimize-panel" title="Minimize">−</button>
+            <button class="panel-btn" id="help-panel" title="Help">?</button>
+          </div>
+        </div>
+        <div class="panel-content">
+          <div class="tabs">
+            <button class="tab active" data-tab="create">Create</button>
+            <button class="tab" data-tab="manage">Manage</button>
+            <button class="tab" data-tab="settings">Settings</button>
+          </div>
+
+          <div class="sync-status" id="sync-status" style="display: none;"></div>
+
+          <!-- Create Tab -->
+          <div class="tab-content active" data-tab="create">
+            <div id="status-message"></div>
+            
+            <div class="form-group">
+              <label class="form-label">Snippet ID</label>
+              <input type="text" class="form-input" id="snippet-id-input" placeholder="e.g., site-header">
+              <small style="color: #6b7280; font-size: 11px; margin-top: 4px; display: block;">
+                Use lowercase letters, numbers, and hyphens
+              </small>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Selected Element</label>
+              <div style="padding: 10px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 12px; color: #6b7280;">
+                <span id="selected-element-info">Click on any block to select it</span>
+              </div>
+            </div>
+
+            <button class="btn btn-primary" id="create-global-snippet">
+              <span>✨</span>
+              Create Global Snippet
+            </button>
+
+            <div class="btn-group">
+              <button class="btn btn-secondary" id="sync-all-snippets">
+                🔄 Sync All
+              </button>
+              <button class="btn btn-secondary" id="import-export">
+                📦 Import/Export
+              </button>
+            </div>
+          </div>
+
+          <!-- Manage Tab -->
+          <div class="tab-content" data-tab="manage">
+            <div class="snippets-list" id="snippets-list">
+              <div class="empty-state">
+                <div class="empty-state-icon">✂️</div>
+                <div class="empty-state-text">
+                  No global snippets yet.<br>
+                  Create your first snippet in the Create tab.
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <!-- Settings Tab -->
+          <div class="tab-content" data-tab="settings">
+            <div class="form-group">
+              <label class="form-label">
+                <input type="checkbox" id="auto-save-toggle" ${CONFIG.autoSave ? 'checked' : ''}>
+                Auto-save changes
+              </label>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">
+                <input type="checkbox" id="debug-mode-toggle" ${CONFIG.debugMode ? 'checked' : ''}>
+                Debug mode
+              </label>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Version History Limit</label>
+              <input type="number" class="form-input" id="version-limit" value="${CONFIG.maxVersionHistory}" min="1" max="50">
+            </div>
+
+            <button class="btn btn-danger" id="clear-all-data">
+              🗑️ Clear All Data
+            </button>
+
+            <div style="margin-top: 20px; padding: 12px; background: #f9fafb; border-radius: 8px; font-size: 11px; color: #6b7280;">
+              <strong>Version:</strong> ${CONFIG.version}<br>
+              <strong>Storage:</strong> <span id="storage-info">Loading...</span>
+            </div>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(panel);
+      this.controlPanel = panel;
+
+      this.attachEventListeners();
+      this.makePanelDraggable();
+      this.updateStorageInfo();
+    }
+
+    attachEventListeners() {
+      // Tab switching
+      this.controlPanel.querySelectorAll('.tab').forEach(tab => {
+        tab.addEventListener('click', (e) => {
+          const tabName = e.target.dataset.tab;
+          this.switchTab(tabName);
+        });
+      });
+
+      // Minimize button
+      const minimizeBtn = document.getElementById('minimize-panel');
+      minimizeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleMinimize();
+      });
+
+      // Click anywhere on minimized panel to expand
+      this.controlPanel.addEventListener('click', (e) => {
+        if (this.controlPanel.classList.contains('minimized')) {
+          this.toggleMinimize();
+        }
+      });
+
+      // Help
+      document.getElementById('help-panel').addEventListener('click', () => {
+        this.showHelp();
+      });
+
+      // Create global snippet
+      document.getElementById('create-global-snippet').addEventListener('click', () => {
+        this.createGlobalSnippet();
+      });
+
+      // Sync all
+      document.getElementById('sync-all-snippets').addEventListener('click', () => {
+        this.syncAllSnippets();
+      });
+
+      // Import/Export
+      document.getElementById('import-export').addEventListener('click', () => {
+        this.showImportExport();
+      });
+
+      // Settings
+      document.getElementById('auto-save-toggle').addEventListener('change', (e) => {
+        CONFIG.autoSave = e.target.checked;
+        this.showStatus('Settings saved', 'success');
+      });
+
+      document.getElementById('debug-mode-toggle').addEventListener('change', (e) => {
+        CONFIG.debugMode = e.target.checked;
+        this.showStatus('Debug mode ' + (CONFIG.debugMode ? 'enabled' : 'disabled'), 'info');
+      });
+
+      document.getElementById('version-limit').addEventListener('change', (e) => {
+        CONFIG.maxVersionHistory = parseInt(e.target.value);
+        this.showStatus('Version limit updated', 'success');
+      });
+
+      // Clear all data
+      document.getElementById('clear-all-data').addEventListener('click', () => {
+        this.clearAllData();
+      });
+    }
+
+    toggleMinimize() {
+      const minimizeBtn = document.getElementById('minimize-panel');
+      this.controlPanel.classList.toggle('minimized');
+      
+      Utils.log('Toggle minimize - minimized state:', this.controlPanel.classList.contains('minimized'));
+      
+      if (this.controlPanel.classList.contains('minimized')) {
+        minimizeBtn.innerHTML = '✂️';
+        minimizeBtn.title = 'Click to expand';
+        Utils.log('Set button to scissors emoji');
+      } else {
+        minimizeBtn.textContent = '−';
+        minimizeBtn.title = 'Minimize';
+        Utils.log('Set button to minus sign');
+      }
+    }
+
+    setupSelectionHandler() {
+      let indicator = null;
+
+      document.addEventListener('mouseover', (e) => {
+        if (this.controlPanel.contains(e.target)) return;
+
+        const element = e.target;
+        
+        if (!this.isValidBlock(element)) {
+          if (indicator) {
+            indicator.remove();
+            indicator = null;
+          }
+          return;
         }
 
-        .btn-danger {
-          background: #ef4444;
-          color: white;
+        if (!indicator) {
+          indicator = document.createElement('div');
+          indicator.className = 'selection-indicator';
+          document.body.appendChild(indicator);
         }
 
-        .btn-danger:hover:not(:disabled) {
-          background: #dc2626;
-          transform: translateY(-1px);
-          box-shadow: 0 4px 12px rgba(239, 68, 68, 0.4);
+        const rect = element.getBoundingClientRect();
+        indicator.style.left = rect.left + 'px';
+        indicator.style.top = rect.top + 'px';
+        indicator.style.width = rect.width + 'px';
+        indicator.style.height = rect.height + 'px';
+      });
+
+      document.addEventListener('click', (e) => {
+        if (this.controlPanel.contains(e.target)) return;
+
+        const element = e.target;
+        
+        if (this.isValidBlock(element)) {
+          this.selectedElement = element;
+          this.updateSelectedElementInfo(element);
+          e.preventDefault();
+          e.stopPropagation();
         }
+      });
+    }
 
-        .btn-group {
-          display: grid;
-          grid-template-columns: 1fr 1fr;
-          gap: 10px;
-          margin-top: 12px;
+    isValidBlock(element) {
+      return element.classList.contains('sqs-block') ||
+             element.classList.contains('code-block') ||
+             element.classList.contains('html-block') ||
+             element.classList.contains('markdown-block') ||
+             element.classList.contains('summary-block');
+    }
+
+    updateSelectedElementInfo(element) {
+      const info = document.getElementById('selected-element-info');
+      const blockType = Array.from(element.classList)
+        .find(c => c.includes('block'))
+        ?.replace('sqs-block-', '')
+        ?.replace('-', ' ') || 'unknown';
+      
+      info.innerHTML = `
+        <strong>Selected:</strong> ${Utils.escapeHtml(blockType)}<br>
+        <small style="font-family: monospace;">${Utils.escapeHtml(element.className.split(' ').slice(0, 3).join(' '))}</small>
+      `;
+    }
+
+    async createGlobalSnippet() {
+      const snippetIdInput = document.getElementById('snippet-id-input');
+      const snippetId = Utils.sanitizeSnippetId(snippetIdInput.value.trim());
+
+      if (!snippetId) {
+        this.showStatus('Please enter a snippet ID', 'error');
+        return;
+      }
+
+      if (!this.selectedElement) {
+        this.showStatus('Please select a block first', 'error');
+        return;
+      }
+
+      try {
+        // A block that already shows a snippet holds its sanitized render;
+        // copy the stored HTML instead so nothing the sanitizer hid is lost
+        const snippets = await this.snippetManager.storage.getAllSnippets();
+        const shown = snippets[this.selectedElement.getAttribute(CONFIG.snippetAttribute)];
+        let html = this.snippetManager.getSourceHtml(this.selectedElement);
+        if (this.snippetManager.matchesStored(shown, html)) {
+          html = StorageManager.currentHtml(shown);
         }
 
-        /* Snippet List */
-        .snippets-list {
-          margin-top: 20px;
+        // Mark the element
+        this.selectedElement.setAttribute(CONFIG.snippetAttribute, snippetId);
+
+        // Save to storage
+        await this.snippetManager.storage.saveSnippet(snippetId, {
+          html,
+          author: 'current-user'
+        });
+
+        this.showStatus(`Global snippet "${snippetId}" created successfully!`, 'success');
+        snippetIdInput.value = '';
+        this.selectedElement = null;
+        document.getElementById('selected-element-info').textContent = 'Click on any block to select it';
+        
+        // Refresh the manage tab
+        this.updateSnippetsList();
+      } catch (error) {
+        this.showStatus('Failed to create global snippet: ' + error.message, 'error');
+        Utils.error('Create snippet error', error);
+      }
+    }
+
+    async syncAllSnippets() {
+      try {
+        const elements = document.querySelectorAll(`[${CONFIG.snippetAttribute}]`);
+        const entries = new Map();
+        const checkedIds = new Set();
+        const hiddenIds = new Set();
+
+        for (const element of elements) {
+          const snippetId = element.getAttribute(CONFIG.snippetAttribute);
+
+          if (this.snippetManager.hasMissingPlaceholder(element)) continue;
+
+          if (await this.snippetManager.isTemplatedSnippet(snippetId)) {
+            Utils.log(`Skipped sync for templated snippet: ${snippetId}`);
+            continue;
+          }
+
+          const snippets = await this.snippetManager.storage.getAllSnippets();
+          if (this.snippetManager.runsScripts(snippets[snippetId])) {
+            Utils.log(`Skipped sync for snippet running scripts: ${snippetId}`);
+            continue;
+          }
+
+          checkedIds.add(snippetId);
+          const html = this.snippetManager.getSourceHtml(element);
+          if (this.snippetManager.matchesStored(snippets[snippetId], html)) continue;
+
+          if (this.snippetManager.hidesMarkup(snippets[snippetId])) {
+            Utils.log(`Skipped sync for snippet with markup the sanitizer hides: ${snippetId}`);
+            hiddenIds.add(snippetId);
+            continue;
+          }
+
+          entries.set(snippetId, { snippetId, html });
         }
 
-        .snippets-list-header {
-          font-size: 13px;
-          font-weight: 600;
-          color: #374151;
-          margin-bottom: 12px;
-          display: flex;
-          align-items: center;
-          justify-content: space-between;
+        // One batched upload for every changed snippet
+        const changedIds = await this.snippetManager.storage.saveSnippets(Array.from(entries.values()), 'current-user');
+
+        if (hiddenIds.size > 0) {
+          this.showStatus(`Synced ${changedIds.length} changed of ${checkedIds.size} snippets. Not saved, as they hold markup the page doesn't show: ${Array.from(hiddenIds).join(', ')}`, 'error');
+        } else {
+          this.showStatus(`Synced ${changedIds.length} changed of ${checkedIds.size} snippets successfully!`, 'success');
         }
+        this.updateSnippetsList();
+      } catch (error) {
+        this.showStatus('Failed to sync snippets: ' + error.message, 'error');
+      }
+    }
+
+    // Keep the panel current when another tab changes snippets, without
+    // leaving a version or variables view the editor has open
+    handleExternalChange(snippetIds, source = 'tab') {
+      const listShown = document.querySelector('#snippets-list > .snippets-list-header, #snippets-list > .empty-state');
+      if (listShown) {
+        this.updateSnippetsList();
+      }
+      this.updateStorageInfo();
+      const changed = snippetIds.length > 3 ? `${snippetIds.length} snippets` : snippetIds.join(', ');
+      this.showStatus(`Updated from ${source === 'remote' ? 'the server' : 'another tab'}: ${changed}`, 'info');
+    }
+
+    async updateSnippetsList() {
+      const listContainer = document.getElementById('snippets-list');
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetIds = Object.keys(snippets);
+
+      if (snippetIds.length === 0) {
+        listContainer.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-state-icon">✂️</div>
+            <div class="empty-state-text">
+              No global snippets yet.<br>
+              Create your first snippet in the Create tab.
+            </div>
+          </div>
+        `;
+        return;
+      }
+
+      const draftCount = snippetIds.filter(snippetId => StorageManager.hasDraft(snippets[snippetId])).length;
+      const upcoming = snippetIds
+        .flatMap(snippetId => StorageManager.scheduleChanges(snippets[snippetId]).map(change => ({ snippetId, ...change })))
+        .sort((a, b) => a.time - b.time);
+      const versionLabel = version => version ? `v${Utils.escapeHtml(version.version)}` : 'hidden';
+      const siteLocales = Localization.siteLocales(snippets);
+      const { index: usageIndex, usage } = this.snippetUsage(snippets);
+
+      listContainer.innerHTML = `
+        <div class="snippets-list-header">
+          Global Snippets
+          <span class="snippet-count">${snippetIds.length}</span>
+        </div>
+        ${draftCount > 0 ? `
+          <button class="btn btn-primary" id="publish-all-drafts" style="margin-bottom: 12px;">
+            🚀 Publish All Drafts (${draftCount})
+          </button>
+        ` : ''}
+        ${upcoming.length > 0 ? `
+          <div class="version-history" style="margin-bottom: 12px;">
+            <div class="version-history-title">🗓️ Upcoming</div>
+            ${upcoming.map(change => `
+              <div class="version-item">
+                <div class="version-item-info">
+                  ${Utils.escapeHtml(change.snippetId)}: ${versionLabel(change.from)} → ${versionLabel(change.to)}
+                </div>
+                <small style="color: #6b7280;">${Utils.formatDate(change.time)}</small>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="version-history" style="margin-bottom: 12px;">
+          <div class="version-history-title">📍 Where Used</div>
+          <div class="version-item">
+            <div class="version-item-info">
+              <small style="color: #6b7280;">
+                ${usageIndex
+                  ? `Last scan ${Utils.formatDate(usageIndex.scannedAt)} · ${usageIndex.pageCount} pages${usageIndex.failed.length ? ` · ${usageIndex.failed.length} couldn't be read` : ''}${usageIndex.skipped ? ` · ${usageIndex.skipped} over the limit not scanned` : ''}`
+                  : 'The site hasn\'t been scanned yet'}
+              </small>
+            </div>
+            <button class="version-item-btn" id="scan-usage" ${this.usageScan ? 'disabled' : ''}>
+              ${this.usageScan ? Utils.escapeHtml(this.usageScan.progress) : '🔍 Scan Site'}
+            </button>
+            <button class="version-item-btn" id="cleanup-report">🧹 Cleanup</button>
+          </div>
+        </div>
+        ${this.renderListToolbar(snippets)}
+        <div id="snippet-items"></div>
+      `;
+
+      const publishAllBtn = document.getElementById('publish-all-drafts');
+      if (publishAllBtn) {
+        publishAllBtn.addEventListener('click', () => this.publishAllDrafts());
+      }
+
+      document.getElementById('scan-usage').addEventListener('click', () => this.scanUsage());
+      document.getElementById('cleanup-report').addEventListener('click', () => this.viewCleanupReport());
+
+      this.attachListToolbar(() => this.renderSnippetItems(snippets, siteLocales, usage));
+      this.renderSnippetItems(snippets, siteLocales, usage);
+    }
+
+    // Search box, sort order and tag and folder filters; they stay as set while the panel is open
+    renderListToolbar(snippets) {
+      const { query, sort, tag, folder } = this.listFilter;
+      const tags = Array.from(new Set(Object.values(snippets).flatMap(snippet => snippet.tags || []))).sort();
+      const folders = Array.from(new Set(Object.values(snippets).map(snippet => snippet.folder).filter(Boolean))).sort();
+      const option = (value, label, selected) => `<option value="${Utils.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>`;
+
+      return `
+        <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px;">
+          <input type="search" class="form-input" id="snippet-search" placeholder="Search ids, tags and content, including old versions…" value="${Utils.escapeHtml(query)}" style="flex: 1 1 100%;">
+          <select class="form-input" id="snippet-sort" style="flex: 1; width: auto; padding: 4px 6px;">
+            ${option('name', 'Sort by name', sort)}
+            ${option('updated', 'Last updated first', sort)}
+            ${option('versions', 'Most versions first', sort)}
+          </select>
+          ${tags.length ? `
+            <select class="form-input" id="snippet-tag-filter" style="flex: 1; width: auto; padding: 4px 6px;">
+              ${option('', 'All tags', tag)}
+              ${tags.map(name => option(name, `🏷️ ${name}`, tag)).join('')}
+            </select>
+          ` : ''}
+          ${folders.length ? `
+            <select class="form-input" id="snippet-folder-filter" style="flex: 1; width: auto; padding: 4px 6px;">
+              ${option('', 'All folders', folder)}
+              ${folders.map(name => option(name, `📁 ${name}`, folder)).join('')}
+            </select>
+          ` : ''}
+        </div>
+      `;
+    }
+
+    attachListToolbar(rerender) {
+      const bind = (id, event, key) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener(event, () => {
+          this.listFilter[key] = input.value;
+          rerender();
+        });
+      };
+
+      bind('snippet-search', 'input', 'query');
+      bind('snippet-sort', 'change', 'sort');
+      bind('snippet-tag-filter', 'change', 'tag');
+      bind('snippet-folder-filter', 'change', 'folder');
+    }
+
+    // The snippets that pass the filters, sorted and grouped by folder
+    renderSnippetItems(snippets, siteLocales, usage) {
+      const listContainer = document.getElementById('snippet-items');
+      const { query, sort, tag, folder } = this.listFilter;
+      const notes = {};
+      const snippetIds = Object.keys(snippets).filter(snippetId => {
+        const snippet = snippets[snippetId];
+        if (tag && !(snippet.tags || []).includes(tag)) return false;
+        if (folder && snippet.folder !== folder) return false;
+        notes[snippetId] = UIManager.searchSnippet(snippetId, snippet, query);
+        return notes[snippetId] !== null;
+      });
+
+      const updatedAt = snippetId => {
+        const current = snippets[snippetId].versions[snippets[snippetId].currentVersion];
+        return current ? new Date(current.timestamp).getTime() : 0;
+      };
+      const compare = {
+        name: (a, b) => a.localeCompare(b),
+        updated: (a, b) => updatedAt(b) - updatedAt(a) || a.localeCompare(b),
+        versions: (a, b) => snippets[b].versions.length - snippets[a].versions.length || a.localeCompare(b)
+      }[sort] || ((a, b) => a.localeCompare(b));
+      snippetIds.sort(compare);
+
+      // Unfiled snippets first, then a heading per folder
+      const folders = Array.from(new Set(snippetIds.map(snippetId => snippets[snippetId].folder || ''))).sort((a, b) => a.localeCompare(b));
+      const renderItem = snippetId => this.renderSnippetItem(snippetId, snippets[snippetId], siteLocales, usage && usage[snippetId], notes[snippetId]);
+
+      listContainer.innerHTML = snippetIds.length ? folders.map(name => `
+        ${name ? `<div class="version-history-title" style="margin: 12px 0 6px;">📁 ${Utils.escapeHtml(name)}</div>` : ''}
+        ${snippetIds.filter(snippetId => (snippets[snippetId].folder || '') === name).map(renderItem).join('')}
+      `).join('') : `
+        <div class="snippet-item-meta" style="text-align: center; padding: 20px 0;">
+          No snippets match.
+          <button class="version-item-btn" id="clear-snippet-filters">Clear filters</button>
+        </div>
+      `;
+
+      document.getElementById('clear-snippet-filters')?.addEventListener('click', () => {
+        this.listFilter = { ...this.listFilter, query: '', tag: '', folder: '' };
+        this.updateSnippetsList();
+      });
 
-        .snippet-count {
-          background: #FF6B6B;
-          color: white;
-          padding: 2px 8px;
-          border-radius: 12px;
-          font-size: 11px;
-          font-weight: 600;
-        }
+      listContainer.querySelectorAll('[data-filter-tag]').forEach(chip => {
+        chip.addEventListener('click', () => {
+          this.listFilter.tag = chip.dataset.filterTag;
+          this.updateSnippetsList();
+        });
+      });
 
-        .snippet-item {
-          background: #f9fafb;
-          border: 1px solid #e5e7eb;
-          border-radius: 8px;
-          padding: 12px;
-          margin-bottom: 8px;
-          transition: all 0.2s;
+      // Attach event listeners for snippet actions
+      snippetIds.forEach(snippetId => {
+        const viewBtn = listContainer.querySelector(`[data-action="view"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const variablesBtn = listContainer.querySelector(`[data-action="variables"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const dependenciesBtn = listContainer.querySelector(`[data-action="dependencies"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const scriptsBtn = listContainer.querySelector(`[data-action="scripts"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const targetingBtn = listContainer.querySelector(`[data-action="targeting"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const experimentBtn = listContainer.querySelector(`[data-action="experiment"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const translationsBtn = listContainer.querySelector(`[data-action="translations"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const usageBtn = listContainer.querySelector(`[data-action="usage"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const organizeBtn = listContainer.querySelector(`[data-action="organize"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const conflictBtn = listContainer.querySelector(`[data-action="conflict"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const deleteBtn = listContainer.querySelector(`[data-action="delete"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const publishBtn = listContainer.querySelector(`[data-action="publish"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+        const unpublishBtn = listContainer.querySelector(`[data-action="unpublish"]${Utils.attributeSelector('data-snippet', snippetId)}`);
+
+        if (publishBtn) {
+          publishBtn.addEventListener('click', () => this.publishSnippet(snippetId));
         }
 
-        .snippet-item:hover {
-          border-color: #FF6B6B;
-          box-shadow: 0 2px 8px rgba(255, 107, 107, 0.1);
+        if (unpublishBtn) {
+          unpublishBtn.addEventListener('click', () => this.unpublishSnippet(snippetId));
         }
 
-        .snippet-item-header {
-          display: flex;
-          align-items: center;
-          justify-content: space-between;
-          margin-bottom: 8px;
+        if (conflictBtn) {
+          conflictBtn.addEventListener('click', () => this.showConflicts());
         }
 
-        .snippet-item-id {
-          font-size: 13px;
-          font-weight: 600;
-          color: #111827;
-          font-family: 'Monaco', monospace;
+        if (viewBtn) {
+          viewBtn.addEventListener('click', () => this.viewSnippetVersions(snippetId));
         }
 
-        .snippet-item-meta {
-          font-size: 11px;
-          color: #6b7280;
+        if (variablesBtn) {
+          variablesBtn.addEventListener('click', () => this.viewSnippetVariables(snippetId));
         }
 
-        .snippet-item-actions {
-          display: flex;
-          gap: 6px;
-          margin-top: 8px;
+        if (dependenciesBtn) {
+          dependenciesBtn.addEventListener('click', () => this.viewSnippetDependencies(snippetId));
         }
 
-        .snippet-item-btn {
-          flex: 1;
-          padding: 6px 12px;
-          border: none;
-          border-radius: 6px;
-          font-size: 12px;
-          cursor: pointer;
-          transition: all 0.2s;
-          font-weight: 500;
+        if (scriptsBtn) {
+          scriptsBtn.addEventListener('click', () => this.toggleSnippetScripts(snippetId));
         }
 
-        .snippet-item-btn.view {
-          background: #fee2e2;
-          color: #dc2626;
+        if (targetingBtn) {
+          targetingBtn.addEventListener('click', () => this.viewSnippetTargeting(snippetId));
         }
 
-        .snippet-item-btn.view:hover {
-          background: #fecaca;
+        if (experimentBtn) {
+          experimentBtn.addEventListener('click', () => this.viewSnippetExperiment(snippetId));
         }
 
-        .snippet-item-btn.delete {
-          background: #fee2e2;
-          color: #dc2626;
+        if (translationsBtn) {
+          translationsBtn.addEventListener('click', () => this.viewSnippetTranslations(snippetId));
         }
 
-        .snippet-item-btn.delete:hover {
-          background: #fecaca;
+        if (usageBtn) {
+          usageBtn.addEventListener('click', () => this.viewSnippetUsage(snippetId));
         }
 
-        /* Version History */
-        .version-history {
-          margin-top: 12px;
-          padding-top: 12px;
-          border-top: 1px solid #e5e7eb;
+        if (organizeBtn) {
+          organizeBtn.addEventListener('click', () => this.viewSnippetOrganization(snippetId));
         }
 
-        .version-history-title {
-          font-size: 12px;
-          font-weight: 600;
-          color: #374151;
-          margin-bottom: 8px;
+        if (deleteBtn) {
+          deleteBtn.addEventListener('click', () => this.deleteSnippet(snippetId));
         }
+      });
+    }
 
-        .version-item {
-          display: flex;
-          align-items: center;
-          justify-content: space-between;
-          padding: 6px 10px;
-          background: white;
-          border: 1px solid #e5e7eb;
-          border-radius: 6px;
-          margin-bottom: 4px;
-          font-size: 11px;
+    // Where a search matches a snippet: null for no match, '' when its id,
+    // folder, tags or current content match, or else a note such as "in v2, v3"
+    static searchSnippet(snippetId, snippet, query) {
+      const needle = query.trim().toLowerCase();
+      if (!needle) return '';
+
+      const has = text => String(text || '').toLowerCase().includes(needle);
+      const current = snippet.versions[snippet.currentVersion];
+      if (has(snippetId) || has(snippet.folder) || (snippet.tags || []).some(has) || (current && has(current.html))) {
+        return '';
+      }
+
+      const versions = snippet.versions.filter(version => version !== current && has(version.html));
+      if (versions.length) {
+        return `in ${versions.map(version => `v${version.version}`).join(', ')}`;
+      }
+
+      const locales = Object.keys(snippet.translations || {}).filter(locale => has(snippet.translations[locale].html));
+      return locales.length ? `in the ${locales.join(', ')} translation` : null;
+    }
+
+    // usage: the pages from the last site scan, or null before the first scan;
+    // searchNote: where a search matched, when not in the current version
+    renderSnippetItem(snippetId, snippetData, siteLocales = [], usage = null, searchNote = '') {
+      const currentVersion = snippetData.versions[snippetData.currentVersion];
+      const timestamp = currentVersion ? Utils.formatDate(currentVersion.timestamp) : 'Unknown';
+      const versionCount = snippetData.versions.length;
+      const hasVariables = currentVersion && Utils.extractTemplateVariables(currentVersion.html).length > 0;
+      const hasDependencies = currentVersion && this.snippetManager.getSnippetDependencies(currentVersion.html).length > 0;
+      const hasConflict = !!this.snippetManager.storage.conflicts[snippetId];
+      const hasScripts = currentVersion && /<script[\s>]/i.test(currentVersion.html);
+      const published = StorageManager.publishedEntry(snippetData);
+      const hasDraft = StorageManager.hasDraft(snippetData);
+      const translated = Object.keys(snippetData.translations || {}).sort();
+      const missingLocales = Localization.missingLocales(snippetData, siteLocales);
+      let status = { label: 'Unpublished', className: '' };
+      if (published) {
+        status = hasDraft
+          ? { label: `Draft · live v${published.version}`, className: 'draft' }
+          : { label: 'Published', className: 'published' };
+      }
+
+      return `
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+            <span class="snippet-status ${status.className}">${Utils.escapeHtml(status.label)}</span>
+          </div>
+          <div class="snippet-item-meta">
+            ${versionCount} version${versionCount !== 1 ? 's' : ''} · Last updated: ${timestamp}
+            ${searchNote ? `<span style="color: #667eea;"> · found ${Utils.escapeHtml(searchNote)}</span>` : ''}
+          </div>
+          ${(snippetData.tags || []).length ? `
+            <div class="snippet-item-meta">
+              ${snippetData.tags.map(tag => `<button class="snippet-tag" data-filter-tag="${Utils.escapeHtml(tag)}" title="Show only this tag">🏷️ ${Utils.escapeHtml(tag)}</button>`).join('')}
+            </div>
+          ` : ''}
+          ${translated.length || missingLocales.length ? `
+            <div class="snippet-item-meta">
+              🌐 ${Utils.escapeHtml([CONFIG.locales.default, ...translated].join(', '))}
+              ${missingLocales.length ? `<span style="color: #b45309;"> · missing: ${Utils.escapeHtml(missingLocales.join(', '))}</span>` : ''}
+            </div>
+          ` : ''}
+          <div class="snippet-item-actions">
+            ${hasDraft && currentVersion ? `
+              <button class="snippet-item-btn view" data-action="publish" data-snippet="${Utils.escapeHtml(snippetId)}">
+                🚀 Publish
+              </button>
+            ` : ''}
+            ${published ? `
+              <button class="snippet-item-btn view" data-action="unpublish" data-snippet="${Utils.escapeHtml(snippetId)}">
+                ⏸️ Unpublish
+              </button>
+            ` : ''}
+            ${hasConflict ? `
+              <button class="snippet-item-btn delete" data-action="conflict" data-snippet="${Utils.escapeHtml(snippetId)}">
+                ⚠️ Resolve Conflict
+              </button>
+            ` : ''}
+            <button class="snippet-item-btn view" data-action="view" data-snippet="${Utils.escapeHtml(snippetId)}">
+              👁️ View Versions
+            </button>
+            ${hasVariables ? `
+              <button class="snippet-item-btn view" data-action="variables" data-snippet="${Utils.escapeHtml(snippetId)}">
+                🧩 Variables
+              </button>
+            ` : ''}
+            ${hasDependencies ? `
+              <button class="snippet-item-btn view" data-action="dependencies" data-snippet="${Utils.escapeHtml(snippetId)}">
+                🌳 Dependencies
+              </button>
+            ` : ''}
+            ${hasScripts ? `
+              <button class="snippet-item-btn view" data-action="scripts" data-snippet="${Utils.escapeHtml(snippetId)}">
+                ⚡ Run Scripts: ${snippetData.runScripts ? 'On' : 'Off'}
+              </button>
+            ` : ''}
+            <button class="snippet-item-btn view" data-action="targeting" data-snippet="${Utils.escapeHtml(snippetId)}">
+              🎯 Targeting${snippetData.targeting ? ` (${snippetData.targeting.rules.length})` : ''}
+            </button>
+            ${versionCount > 1 || snippetData.experiment ? `
+              <button class="snippet-item-btn view" data-action="experiment" data-snippet="${Utils.escapeHtml(snippetId)}">
+                🧪 ${snippetData.experiment ? `A/B Test (${snippetData.experiment.variants.length} variants)` : 'A/B Test'}
+              </button>
+            ` : ''}
+            <button class="snippet-item-btn view" data-action="translations" data-snippet="${Utils.escapeHtml(snippetId)}">
+              🌐 Translations
+            </button>
+            <button class="snippet-item-btn view" data-action="organize" data-snippet="${Utils.escapeHtml(snippetId)}">
+              🏷️ Tags & Folder
+            </button>
+            ${usage ? `
+              <button class="snippet-item-btn view" data-action="usage" data-snippet="${Utils.escapeHtml(snippetId)}">
+                📍 ${usage.length ? `Used on ${usage.length} page${usage.length !== 1 ? 's' : ''}` : 'Not used on any page'}
+              </button>
+            ` : ''}
+            <button class="snippet-item-btn delete" data-action="delete" data-snippet="${Utils.escapeHtml(snippetId)}">
+              🗑️ Delete
+            </button>
+          </div>
+        </div>
+      `;
+    }
+
+    async viewSnippetVersions(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
+
+      if (!snippetData) return;
+
+      const currentId = StorageManager.currentVersionId(snippetData);
+      const args = (...values) => Utils.escapeHtml(values.map(value => JSON.stringify(value)).join(', '));
+
+      const versionsHtml = snippetData.versions.map((version, index) => {
+        const isCurrent = index === snippetData.currentVersion;
+        const restoredNote = version.restoredFrom
+          ? `<br><small style="color: #6b7280;">Restored from v${Utils.escapeHtml(version.restoredFrom.version)}</small>`
+          : '';
+        const scheduleNote = version.publishAt || version.expiresAt
+          ? `<br><small style="color: #6b7280;">🗓️ ${Utils.escapeHtml(this.describeSchedule(version))}</small>`
+          : '';
+        return `
+          <div class="version-item ${isCurrent ? 'current' : ''}">
+            <div class="version-item-info">
+              ${version.pinned ? '📌 ' : ''}v${Utils.escapeHtml(version.version)} · ${Utils.formatDate(version.timestamp)}
+              ${isCurrent ? ' (current)' : ''}
+              ${version.id === snippetData.publishedVersion ? ' · 🟢 live' : ''}
+              ${restoredNote}
+              ${scheduleNote}
+            </div>
+            <div style="display: flex; gap: 4px;">
+              <button class="version-item-btn" onclick="window.globalSnippetsUI.pinVersion(${args(snippetId, version.id, !version.pinned)})">
+                ${version.pinned ? 'Unpin' : 'Pin'}
+              </button>
+              ${version.id !== snippetData.publishedVersion ? `
+                <button class="version-item-btn" onclick="window.globalSnippetsUI.publishSnippet(${args(snippetId, version.id)})">
+                  Publish
+                </button>
+              ` : ''}
+              <button class="version-item-btn" onclick="window.globalSnippetsUI.viewVersionSchedule(${args(snippetId, version.id)})">
+                Schedule
+              </button>
+              ${!isCurrent ? `
+                <button class="version-item-btn" title="Changes since this version" onclick="window.globalSnippetsUI.compareVersions(${args(snippetId, version.id, currentId)})">
+                  Diff
+                </button>
+                <button class="version-item-btn" onclick="window.globalSnippetsUI.restoreVersion(${args(snippetId, version.id)})">
+                  Restore
+                </button>
+              ` : ''}
+            </div>
+          </div>
+        `;
+      }).reverse().join('');
+
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" onclick="window.globalSnippetsUI.updateSnippetsList()" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Version History</div>
+            ${versionsHtml}
+          </div>
+          ${snippetData.versions.length > 1 ? `
+            <button class="btn btn-secondary" id="compare-versions" style="margin-top: 12px;">
+              🔍 Compare Versions
+            </button>
+          ` : ''}
+        </div>
+      `;
+
+      const compareBtn = document.getElementById('compare-versions');
+      if (compareBtn) {
+        compareBtn.addEventListener('click', () => {
+          const current = snippetData.currentVersion;
+          const previous = snippetData.versions[current > 0 ? current - 1 : 1];
+          this.compareVersions(snippetId, previous.id, currentId);
+        });
+      }
+    }
+
+    // Line diff plus rendered previews of two versions, by version id
+    async compareVersions(snippetId, fromId, toId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
+
+      if (!snippetData) return;
+
+      document.getElementById('global-snippets-compare')?.remove();
+
+      const modal = document.createElement('div');
+      modal.id = 'global-snippets-compare';
+      modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0,0,0,0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1000000;
+      `;
+
+      const options = selected => snippetData.versions.map((version, index) => `
+        <option value="${Utils.escapeHtml(version.id)}" ${version.id === selected ? 'selected' : ''}>
+          v${Utils.escapeHtml(version.version)} · ${Utils.formatDate(version.timestamp)}${index === snippetData.currentVersion ? ' (current)' : ''}
+        </option>
+      `).reverse().join('');
+
+      modal.innerHTML = `
+        <div style="background: white; padding: 30px; border-radius: 12px; max-width: 960px; width: 95%; max-height: 90vh; overflow-y: auto;">
+          <h3 style="margin: 0 0 8px 0; font-size: 18px;">🔍 Compare Versions</h3>
+          <div class="snippet-item-id" style="margin-bottom: 16px;">${Utils.escapeHtml(snippetId)}</div>
+          <div style="display: flex; gap: 10px; margin-bottom: 16px;">
+            <label class="form-label" style="flex: 1;">From
+              <select class="form-input" id="compare-from">${options(fromId)}</select>
+            </label>
+            <label class="form-label" style="flex: 1;">To
+              <select class="form-input" id="compare-to">${options(toId)}</select>
+            </label>
+          </div>
+          <div id="compare-result"></div>
+          <button class="btn btn-secondary" id="close-compare" style="margin-top: 12px;">Close</button>
+        </div>
+      `;
+
+      document.body.appendChild(modal);
+
+      const fromSelect = modal.querySelector('#compare-from');
+      const toSelect = modal.querySelector('#compare-to');
+      const renderResult = () => {
+        const from = snippetData.versions.find(version => version.id === fromSelect.value);
+        const to = snippetData.versions.find(version => version.id === toSelect.value);
+        modal.querySelector('#compare-result').innerHTML = this.renderVersionDiff(snippetData, from, to);
+      };
+
+      fromSelect.addEventListener('change', renderResult);
+      toSelect.addEventListener('change', renderResult);
+      modal.querySelector('#close-compare').addEventListener('click', () => modal.remove());
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.remove();
+      });
+
+      renderResult();
+    }
+
+    renderVersionDiff(snippetData, from, to) {
+      const diff = Utils.diffLines(Utils.splitHtmlLines(from.html), Utils.splitHtmlLines(to.html));
+      const added = diff.filter(line => line.type === 'added').length;
+      const removed = diff.filter(line => line.type === 'removed').length;
+      const styles = {
+        same: 'color: #6b7280;',
+        added: 'background: #ecfdf5; color: #065f46;',
+        removed: 'background: #fef2f2; color: #991b1b;'
+      };
+      const markers = { same: ' ', added: '+', removed: '-' };
+
+      // Keep three lines of context around each change and fold the rest
+      const context = 3;
+      const near = index => diff.slice(Math.max(0, index - context), index + context + 1).some(line => line.type !== 'same');
+      const lines = [];
+      let folded = 0;
+      diff.forEach((line, index) => {
+        if (line.type === 'same' && !near(index)) {
+          folded++;
+          return;
         }
+        if (folded) {
+          lines.push(`<div style="color: #9ca3af; font-style: italic;">⋯ ${folded} unchanged line${folded !== 1 ? 's' : ''}</div>`);
+          folded = 0;
+        }
+        lines.push(`<div style="${styles[line.type]}">${markers[line.type]} ${Utils.escapeHtml(line.text)}</div>`);
+      });
+      if (folded) {
+        lines.push(`<div style="color: #9ca3af; font-style: italic;">⋯ ${folded} unchanged line${folded !== 1 ? 's' : ''}</div>`);
+      }
+
+      // Previews go through the sanitizer like a live render, without running scripts
+      const preview = html => this.snippetManager.sanitizeSnippetHtml({}, Utils.renderTemplate(html, snippetData.variables));
+      const renderSide = (title, version) => `
+        <div style="flex: 1; min-width: 0;">
+          <div class="version-history-title">${title} · v${Utils.escapeHtml(version.version)}</div>
+          <div style="padding: 8px; border: 1px solid #e5e7eb; border-radius: 6px; max-height: 300px; overflow: auto;">${preview(version.html)}</div>
+        </div>
+      `;
+
+      return `
+        <div class="version-history-title">
+          Source · <span style="color: #065f46;">+${added}</span> <span style="color: #991b1b;">−${removed}</span>
+        </div>
+        <pre style="margin: 0 0 16px 0; padding: 8px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 11px; max-height: 300px; overflow: auto; white-space: pre-wrap; word-break: break-word;">${added || removed ? lines.join('') : 'No differences'}</pre>
+        <div class="version-history-title">Preview</div>
+        <div style="display: flex; gap: 10px;">
+          ${renderSide('From', from)}
+          ${renderSide('To', to)}
+        </div>
+      `;
+    }
+
+    async toggleSnippetScripts(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const enable = !snippets[snippetId].runScripts;
+
+      if (enable && !confirm(`Run the scripts in "${snippetId}" on every page that uses it? Scripts get full access to the page, so only enable this for code you trust.`)) {
+        return;
+      }
+
+      try {
+        await this.snippetManager.storage.setRunScripts(snippetId, enable);
+        this.showStatus(`Scripts ${enable ? 'enabled' : 'disabled'} for "${snippetId}"`, 'success');
+        this.snippetManager.renderSnippet(snippetId);
+        this.updateSnippetsList();
+      } catch (error) {
+        this.showStatus('Failed to update script setting: ' + error.message, 'error');
+      }
+    }
+
+    async viewSnippetTranslations(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
+
+      if (!snippetData) return;
+
+      const translations = snippetData.translations || {};
+      const live = snippetData.publishedTranslations || {};
+      const locales = Array.from(new Set([...Localization.siteLocales(snippets), ...Object.keys(translations)])).sort();
+
+      const fieldsHtml = locales.map(locale => `
+        <div class="form-group">
+          <label class="form-label">
+            ${Utils.escapeHtml(locale)}
+            ${translations[locale]
+              ? `<small style="color: #6b7280; font-weight: normal;"> · ${Utils.formatDate(translations[locale].timestamp)}</small>`
+              : '<small style="color: #b45309; font-weight: normal;"> · missing</small>'}
+            ${JSON.stringify(translations[locale]) !== JSON.stringify(live[locale])
+              ? '<small style="color: #b45309; font-weight: normal;"> · not published</small>'
+              : ''}
+          </label>
+          <textarea class="form-textarea" data-locale-html="${Utils.escapeHtml(locale)}" style="height: 100px;">${Utils.escapeHtml(translations[locale] ? translations[locale].html : '')}</textarea>
+        </div>
+      `).join('');
+
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="translations-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Translations</div>
+            <small style="color: #6b7280; font-size: 11px; margin-bottom: 12px; display: block;">
+              The snippet's versions are the ${Utils.escapeHtml(CONFIG.locales.default)} content. Translations are shown on the live
+              site for their locale once the snippet is published again; leave one empty to remove it.
+            </small>
+            ${fieldsHtml}
+            <div class="form-group" style="display: flex; gap: 8px;">
+              <input type="text" class="form-input" id="new-locale" placeholder="Add a locale, e.g. fr or pt-br">
+              <button class="btn btn-secondary" id="add-locale">Add</button>
+            </div>
+            <button class="btn btn-primary" id="save-translations">Save Translations</button>
+          </div>
+        </div>
+      `;
 
-        .version-item.current {
-          background: #ecfdf5;
-          border-color: #10b981;
-        }
+      document.getElementById('translations-back').addEventListener('click', () => this.updateSnippetsList());
+      document.getElementById('add-locale').addEventListener('click', () => {
+        const locale = Localization.normalize(document.getElementById('new-locale').value);
+        if (!locale || locales.includes(locale)) return;
 
-        .version-item-info {
-          color: #6b7280;
-        }
+        const template = document.createElement('template');
+        template.innerHTML = `
+          <div class="form-group">
+            <label class="form-label">${Utils.escapeHtml(locale)}</label>
+            <textarea class="form-textarea" data-locale-html="${Utils.escapeHtml(locale)}" style="height: 100px;"></textarea>
+          </div>
+        `;
+        document.getElementById('new-locale').closest('.form-group').before(template.content);
+        locales.push(locale);
+        document.getElementById('new-locale').value = '';
+      });
+      document.getElementById('save-translations').addEventListener('click', async () => {
+        // Only write the locales that changed
+        const changed = Array.from(listContainer.querySelectorAll('[data-locale-html]')).filter(textarea => {
+          const existing = translations[textarea.dataset.localeHtml];
+          return textarea.value !== (existing ? existing.html : '');
+        });
 
-        .version-item-btn {
-          padding: 4px 10px;
-          background: #FF6B6B;
-          color: white;
-          border: none;
-          border-radius: 4px;
-          font-size: 10px;
-          cursor: pointer;
-          font-weight: 500;
+        try {
+          for (const textarea of changed) {
+            await this.snippetManager.storage.saveTranslation(snippetId, textarea.dataset.localeHtml, textarea.value, 'current-user');
+          }
+          this.showStatus(changed.length ? `Saved ${changed.length} translation${changed.length !== 1 ? 's' : ''} - publish the snippet to put them live` : 'No changes to save', 'success');
+          this.viewSnippetTranslations(snippetId);
+        } catch (error) {
+          this.showStatus('Failed to save translations: ' + error.message, 'error');
         }
+      });
+    }
 
-        .version-item-btn:hover {
-          background: #EE5A52;
-        }
+    async viewSnippetExperiment(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
 
-        /* Empty State */
-        .empty-state {
-          text-align: center;
-          padding: 40px 20px;
-          color: #9ca3af;
-        }
+      if (!snippetData) return;
 
-        .empty-state-icon {
-          font-size: 48px;
-          margin-bottom: 12px;
-        }
+      const experiment = snippetData.experiment;
+      const variants = experiment ? experiment.variants : [];
+      const forced = Experiments.getForced()[snippetId];
+      const args = (...values) => Utils.escapeHtml(values.map(value => JSON.stringify(value)).join(', '));
 
-        .empty-state-text {
-          font-size: 14px;
-          line-height: 1.6;
-        }
+      const rowsHtml = snippetData.versions.map(version => {
+        const variant = variants.find(v => v.versionId === version.id);
+        return `
+          <div class="version-item" data-variant="${Utils.escapeHtml(version.id)}">
+            <label class="version-item-info" style="display: flex; gap: 6px; align-items: center;">
+              <input type="checkbox" data-variant-field="included" ${variant ? 'checked' : ''}>
+              v${Utils.escapeHtml(version.version)} · ${Utils.formatDate(version.timestamp)}
+              ${version.id === snippetData.publishedVersion ? ' · 🟢 live' : ''}
+              ${version.id === forced ? ' · 👁️ forced' : ''}
+            </label>
+            <div style="display: flex; gap: 4px; align-items: center;">
+              <input type="number" class="form-input" data-variant-field="weight" min="0" step="1" value="${variant ? Utils.escapeHtml(variant.weight) : 50}" style="width: 64px; padding: 4px 6px;" title="Weight">
+              ${variant ? `
+                <button class="version-item-btn" onclick="window.globalSnippetsUI.forceVariant(${args(snippetId, version.id === forced ? null : version.id)})">
+                  ${version.id === forced ? 'Unforce' : 'Force'}
+                </button>
+                <button class="version-item-btn" onclick="window.globalSnippetsUI.endExperiment(${args(snippetId, version.id)})">
+                  Promote
+                </button>
+              ` : ''}
+            </div>
+          </div>
+        `;
+      }).reverse().join('');
 
-        /* Status Messages */
-        .status-message {
-          padding: 12px 16px;
-          border-radius: 8px;
-          margin-bottom: 16px;
-          font-size: 13px;
-          display: flex;
-          align-items: center;
-          gap: 10px;
-        }
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="experiment-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">A/B Test${experiment ? ` · running since ${Utils.formatDate(experiment.startedAt)}` : ''}</div>
+            <small style="color: #6b7280; font-size: 11px; margin-bottom: 12px; display: block;">
+              Tick the versions to test and give each a weight. Every visitor keeps the variant they were given, and a
+              globalsnippet:exposure event (and a dataLayer entry) reports it. Force shows a variant in this browser only.
+            </small>
+            ${rowsHtml}
+          </div>
+          <div style="display: flex; gap: 8px; margin-top: 12px;">
+            <button class="btn btn-primary" id="save-experiment">${experiment ? 'Update Weights' : 'Start Test'}</button>
+            ${experiment ? '<button class="btn btn-secondary" id="stop-experiment">Stop Without Promoting</button>' : ''}
+          </div>
+        </div>
+      `;
 
-        .status-message.success {
-          background: #ecfdf5;
-          color: #065f46;
-          border: 1px solid #10b981;
-        }
+      document.getElementById('experiment-back').addEventListener('click', () => this.updateSnippetsList());
+      document.getElementById('save-experiment').addEventListener('click', async () => {
+        const selected = Array.from(listContainer.querySelectorAll('[data-variant]'))
+          .filter(row => row.querySelector('[data-variant-field="included"]').checked)
+          .map(row => ({
+            versionId: row.dataset.variant,
+            weight: Number(row.querySelector('[data-variant-field="weight"]').value)
+          }))
+          .reverse();
 
-        .status-message.error {
-          background: #fef2f2;
-          color: #991b1b;
-          border: 1px solid #ef4444;
+        try {
+          await this.snippetManager.storage.setExperiment(snippetId, selected);
+          this.showStatus(experiment ? 'Experiment updated' : 'Experiment started on the live site', 'success');
+          this.viewSnippetExperiment(snippetId);
+        } catch (error) {
+          this.showStatus('Failed to save experiment: ' + error.message, 'error');
         }
+      });
 
-        .status-message.info {
-          background: #eff6ff;
-          color: #1e40af;
-          border: 1px solid #3b82f6;
-        }
+      const stopBtn = document.getElementById('stop-experiment');
+      if (stopBtn) {
+        stopBtn.addEventListener('click', () => this.endExperiment(snippetId, null));
+      }
+    }
 
-        /* Selection Indicator */
-        .selection-indicator {
-          position: absolute;
-          pointer-events: none;
-          border: 3px solid #FF6B6B;
-          background: rgba(255, 107, 107, 0.1);
-          z-index: 9999;
-          transition: all 0.15s ease;
-          box-shadow: 0 0 0 3px rgba(255, 107, 107, 0.2);
-        }
+    forceVariant(snippetId, versionId) {
+      Experiments.setForced(snippetId, versionId);
+      this.showStatus(versionId ? 'Variant forced in this browser; open the live site to preview it' : 'Forced variant cleared', 'success');
+      this.viewSnippetExperiment(snippetId);
+    }
 
-        /* Tabs */
-        .tabs {
-          display: flex;
-          gap: 4px;
-          margin-bottom: 16px;
-          border-bottom: 2px solid #e5e7eb;
-        }
+    async endExperiment(snippetId, winnerId) {
+      const message = winnerId
+        ? 'Publish this variant for everyone and end the experiment?'
+        : 'End the experiment? Visitors will see the published version again.';
+      if (!confirm(message)) {
+        return;
+      }
 
-        .tab {
-          padding: 10px 16px;
-          border: none;
-          background: none;
-          color: #6b7280;
-          font-size: 13px;
-          font-weight: 500;
-          cursor: pointer;
-          border-bottom: 2px solid transparent;
-          margin-bottom: -2px;
-          transition: all 0.2s;
-        }
+      try {
+        await this.snippetManager.storage.endExperiment(snippetId, winnerId);
+        Experiments.setForced(snippetId, null);
+        this.showStatus(winnerId ? 'Winner published, experiment ended' : 'Experiment ended', 'success');
+        this.updateSnippetsList();
+      } catch (error) {
+        this.showStatus('Failed to end experiment: ' + error.message, 'error');
+      }
+    }
 
-        .tab:hover {
-          color: #374151;
-        }
+    async viewSnippetTargeting(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
 
-        .tab.active {
-          color: #FF6B6B;
-          border-bottom-color: #FF6B6B;
-        }
+      if (!snippetData) return;
 
-        .tab-content {
-          display: none;
-        }
+      const targeting = snippetData.targeting || { match: 'all', rules: [], fallback: 'hide' };
+      const rules = targeting.rules.map(rule => ({ ...rule }));
+      const ruleLabels = {
+        path: 'URL path',
+        query: 'Query parameter',
+        referrer: 'Referrer host',
+        media: 'Media query',
+        cookie: 'Cookie',
+        firstVisit: 'First-time visitor'
+      };
+      const placeholders = {
+        path: '/blog/** or /shop/*',
+        referrer: '*.google.* (empty: direct visits)',
+        media: '(max-width: 767px)'
+      };
 
-        .tab-content.active {
-          display: block;
-        }
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="targeting-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Targeting Rules</div>
+            <small style="color: #6b7280; font-size: 11px; margin-bottom: 12px; display: block;">
+              Checked on the live site only. With no rules the snippet is shown everywhere.
+            </small>
+            <div class="form-group">
+              <select class="form-input" id="targeting-match">
+                <option value="all" ${targeting.match !== 'any' ? 'selected' : ''}>Show when all rules match</option>
+                <option value="any" ${targeting.match === 'any' ? 'selected' : ''}>Show when any rule matches</option>
+              </select>
+            </div>
+            <div id="targeting-rules"></div>
+            <button class="btn btn-secondary" id="add-targeting-rule" style="margin-bottom: 12px;">+ Add Rule</button>
+            <div class="form-group">
+              <label class="form-label">Otherwise</label>
+              <select class="form-input" id="targeting-fallback">
+                <option value="hide" ${!targeting.fallback || targeting.fallback === 'hide' ? 'selected' : ''}>Hide the container</option>
+                <option value="keep" ${targeting.fallback === 'keep' ? 'selected' : ''}>Keep the container's own content</option>
+                <option value="version" ${targeting.fallback === 'version' ? 'selected' : ''}>Show another version</option>
+              </select>
+            </div>
+            <div class="form-group" id="targeting-fallback-version-group">
+              <select class="form-input" id="targeting-fallback-version">
+                ${snippetData.versions.map(version => `
+                  <option value="${Utils.escapeHtml(version.id)}" ${version.id === targeting.fallbackVersion ? 'selected' : ''}>v${Utils.escapeHtml(version.version)} · ${Utils.formatDate(version.timestamp)}</option>
+                `).reverse().join('')}
+              </select>
+            </div>
+            <button class="btn btn-primary" id="save-targeting">Save Targeting</button>
+          </div>
+        </div>
+      `;
 
-        /* Scrollbar */
-        .panel-content::-webkit-scrollbar {
-          width: 6px;
-        }
+      const rulesContainer = document.getElementById('targeting-rules');
+      const fallbackSelect = document.getElementById('targeting-fallback');
+      const fallbackVersionGroup = document.getElementById('targeting-fallback-version-group');
+
+      // Nested groups can't be edited here, but are kept as they are
+      const renderRules = () => {
+        rulesContainer.innerHTML = rules.map((rule, index) => `
+          <div class="form-group" data-rule-index="${index}" style="display: flex; gap: 4px; align-items: center;">
+            ${rule.rules ? `
+              <div class="snippet-item-meta" style="flex: 1;">Rule group: ${rule.match === 'any' ? 'any' : 'all'} of ${rule.rules.length} rules</div>
+            ` : `
+              <select class="form-input" data-rule-field="type" style="flex: 1;">
+                ${Targeting.ruleTypes.map(type => `
+                  <option value="${type}" ${rule.type === type ? 'selected' : ''}>${ruleLabels[type]}</option>
+                `).join('')}
+              </select>
+              ${rule.type === 'query' || rule.type === 'cookie' ? `
+                <input type="text" class="form-input" data-rule-field="name" placeholder="Name" value="${Utils.escapeHtml(rule.name || '')}" style="flex: 1;">
+              ` : ''}
+              ${rule.type === 'firstVisit' ? `
+                <select class="form-input" data-rule-field="value" style="flex: 1;">
+                  <option value="true" ${rule.value !== false ? 'selected' : ''}>Yes</option>
+                  <option value="false" ${rule.value === false ? 'selected' : ''}>No, returning</option>
+                </select>
+              ` : `
+                <input type="text" class="form-input" data-rule-field="value" placeholder="${Utils.escapeHtml(placeholders[rule.type] || 'Value (optional)')}" value="${Utils.escapeHtml(rule.value || '')}" style="flex: 1;">
+              `}
+            `}
+            <button class="version-item-btn" data-rule-remove="${index}">✕</button>
+          </div>
+        `).join('');
+      };
 
-        .panel-content::-webkit-scrollbar-track {
-          background: #f1f5f9;
-        }
+      const readRules = () => {
+        rulesContainer.querySelectorAll('[data-rule-index]').forEach(row => {
+          const rule = rules[Number(row.dataset.ruleIndex)];
+          row.querySelectorAll('[data-rule-field]').forEach(input => {
+            const field = input.dataset.ruleField;
+            rule[field] = rule.type === 'firstVisit' && field === 'value' ? input.value === 'true' : input.value.trim();
+          });
+        });
+      };
 
-        .panel-content::-webkit-scrollbar-thumb {
-          background: #cbd5e1;
-          border-radius: 3px;
+      const updateFallbackVersion = () => {
+        fallbackVersionGroup.style.display = fallbackSelect.value === 'version' ? '' : 'none';
+      };
+
+      rulesContainer.addEventListener('change', event => {
+        if (event.target.dataset.ruleField !== 'type') return;
+        readRules();
+        const rule = rules[Number(event.target.closest('[data-rule-index]').dataset.ruleIndex)];
+        rules.splice(rules.indexOf(rule), 1, { type: rule.type });
+        renderRules();
+      });
+      rulesContainer.addEventListener('click', event => {
+        const remove = event.target.closest('[data-rule-remove]');
+        if (!remove) return;
+        readRules();
+        rules.splice(Number(remove.dataset.ruleRemove), 1);
+        renderRules();
+      });
+      document.getElementById('add-targeting-rule').addEventListener('click', () => {
+        readRules();
+        rules.push({ type: 'path', value: '' });
+        renderRules();
+      });
+      fallbackSelect.addEventListener('change', updateFallbackVersion);
+      document.getElementById('targeting-back').addEventListener('click', () => this.updateSnippetsList());
+      document.getElementById('save-targeting').addEventListener('click', async () => {
+        readRules();
+        const fallback = fallbackSelect.value;
+        const updated = {
+          match: document.getElementById('targeting-match').value,
+          rules: rules.filter(rule => rule.rules || ['firstVisit', 'referrer'].includes(rule.type) || rule.value || rule.name),
+          fallback
+        };
+        if (fallback === 'version') {
+          updated.fallbackVersion = document.getElementById('targeting-fallback-version').value;
         }
 
-        .panel-content::-webkit-scrollbar-thumb:hover {
-          background: #94a3b8;
+        try {
+          await this.snippetManager.storage.setTargeting(snippetId, updated);
+          this.showStatus(updated.rules.length ? 'Targeting saved!' : 'Targeting removed', 'success');
+          this.updateSnippetsList();
+        } catch (error) {
+          this.showStatus('Failed to save targeting: ' + error.message, 'error');
         }
-      `;
-      document.head.appendChild(style);
+      });
+
+      renderRules();
+      updateFallbackVersion();
     }
 
-    createControlPanel() {
-      const panel = document.createElement('div');
-      panel.className = 'global-snippets-panel';
-      panel.innerHTML = `
-        <div class="panel-header">
-          <div class="panel-title">
-            <span>✂️</span>
-            <span>Global Snippets</span>
-          </div>
-          <div class="panel-actions">
-            <button class="panel-btn" id="minimize-panel" title="Minimize">−</button>
-            <button class="panel-btn" id="help-panel" title="Help">?</button>
-          </div>
-        </div>
-        <div class="panel-content">
-          <div class="tabs">
-            <button class="tab active" data-tab="create">Create</button>
-            <button class="tab" data-tab="manage">Manage</button>
-            <button class="tab" data-tab="settings">Settings</button>
-          </div>
+    async viewSnippetVariables(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
 
-          <!-- Create Tab -->
-          <div class="tab-content active" data-tab="create">
-            <div id="status-message"></div>
-            
-            <div class="form-group">
-              <label class="form-label">Snippet ID</label>
-              <input type="text" class="form-input" id="snippet-id-input" placeholder="e.g., site-header">
-              <small style="color: #6b7280; font-size: 11px; margin-top: 4px; display: block;">
-                Use lowercase letters, numbers, and hyphens
-              </small>
-            </div>
+      if (!snippetData) return;
 
-            <div class="form-group">
-              <label class="form-label">Selected Element</label>
-              <div style="padding: 10px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 12px; color: #6b7280;">
-                <span id="selected-element-info">Click on any block to select it</span>
-              </div>
-            </div>
+      const currentVersion = snippetData.versions[snippetData.currentVersion];
+      const names = Utils.extractTemplateVariables(currentVersion ? currentVersion.html : '');
+      const defaults = Utils.templateValues(snippetData.variables);
 
-            <button class="btn btn-primary" id="create-global-snippet">
-              <span>✨</span>
-              Create Global Snippet
-            </button>
+      const fieldsHtml = names.map(name => `
+        <div class="form-group">
+          <label class="form-label">{{${Utils.escapeHtml(name)}}}</label>
+          <input type="text" class="form-input" data-variable="${Utils.escapeHtml(name)}" value="${Utils.escapeHtml(defaults[name] || '')}">
+        </div>
+      `).join('');
 
-            <div class="btn-group">
-              <button class="btn btn-secondary" id="sync-all-snippets">
-                🔄 Sync All
-              </button>
-              <button class="btn btn-secondary" id="import-export">
-                📦 Import/Export
-              </button>
-            </div>
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="variables-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Default Values</div>
+            <small style="color: #6b7280; font-size: 11px; margin-bottom: 12px; display: block;">
+              Override per page with attributes such as ${CONFIG.variableAttributePrefix}${Utils.escapeHtml(names[0])}="..." on the container
+            </small>
+            ${fieldsHtml}
+            <button class="btn btn-primary" id="save-variables">Save Defaults</button>
           </div>
+        </div>
+      `;
 
-          <!-- Manage Tab -->
-          <div class="tab-content" data-tab="manage">
-            <div class="snippets-list" id="snippets-list">
-              <div class="empty-state">
-                <div class="empty-state-icon">✂️</div>
-                <div class="empty-state-text">
-                  No global snippets yet.<br>
-                  Create your first snippet in the Create tab.
-                </div>
-              </div>
-            </div>
-          </div>
+      document.getElementById('variables-back').addEventListener('click', () => this.updateSnippetsList());
+      document.getElementById('save-variables').addEventListener('click', async () => {
+        const variables = {};
+        listContainer.querySelectorAll('[data-variable]').forEach(input => {
+          variables[input.dataset.variable] = input.value;
+        });
 
-          <!-- Settings Tab -->
-          <div class="tab-content" data-tab="settings">
-            <div class="form-group">
-              <label class="form-label">
-                <input type="checkbox" id="auto-save-toggle" ${CONFIG.autoSave ? 'checked' : ''}>
-                Auto-save changes
-              </label>
-            </div>
+        try {
+          await this.snippetManager.storage.updateSnippetVariables(snippetId, variables);
+          this.showStatus('Default values saved!', 'success');
+          this.snippetManager.renderSnippet(snippetId);
+        } catch (error) {
+          this.showStatus('Failed to save default values: ' + error.message, 'error');
+        }
+      });
+    }
 
-            <div class="form-group">
-              <label class="form-label">
-                <input type="checkbox" id="debug-mode-toggle" ${CONFIG.debugMode ? 'checked' : ''}>
-                Debug mode
-              </label>
-            </div>
+    async viewSnippetDependencies(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
 
-            <div class="form-group">
-              <label class="form-label">Version History Limit</label>
-              <input type="number" class="form-input" id="version-limit" value="${CONFIG.maxVersionHistory}" min="1" max="50">
-            </div>
+      if (!snippets[snippetId]) return;
 
-            <button class="btn btn-danger" id="clear-all-data">
-              🗑️ Clear All Data
-            </button>
+      const tree = this.snippetManager.buildDependencyTree(snippetId, snippets);
+      const dependents = Object.keys(snippets).filter(otherId => {
+        const other = snippets[otherId];
+        const otherVersion = other.versions[other.currentVersion];
+        return otherId !== snippetId && otherVersion &&
+          this.snippetManager.getSnippetDependencies(otherVersion.html).includes(snippetId);
+      });
 
-            <div style="margin-top: 20px; padding: 12px; background: #f9fafb; border-radius: 8px; font-size: 11px; color: #6b7280;">
-              <strong>Version:</strong> ${CONFIG.version}<br>
-              <strong>Storage:</strong> <span id="storage-info">Loading...</span>
+      const renderNode = (node) => {
+        let flag = '';
+        if (node.cycle) flag = ' <span style="color: #dc2626;">⚠️ circular</span>';
+        if (node.tooDeep) flag = ' <span style="color: #dc2626;">⚠️ too deep</span>';
+        if (node.missing) flag = ' <span style="color: #dc2626;">⚠️ missing</span>';
+
+        return `
+          <li style="margin: 4px 0;">
+            <span style="font-family: 'Monaco', monospace;">${Utils.escapeHtml(node.id)}</span>${flag}
+            ${node.children.length ? `<ul style="margin: 0; padding-left: 18px;">${node.children.map(renderNode).join('')}</ul>` : ''}
+          </li>
+        `;
+      };
+
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="dependencies-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Dependency Tree</div>
+            <ul style="margin: 0; padding-left: 18px; font-size: 12px; color: #374151;">
+              ${renderNode(tree)}
+            </ul>
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Included By</div>
+            <div class="snippet-item-meta">
+              ${dependents.length ? Utils.escapeHtml(dependents.join(', ')) : 'Not included in other snippets'}
             </div>
           </div>
         </div>
       `;
 
-      document.body.appendChild(panel);
-      this.controlPanel = panel;
+      document.getElementById('dependencies-back').addEventListener('click', () => this.updateSnippetsList());
+    }
 
-      this.attachEventListeners();
-      this.makePanelDraggable();
-      this.updateStorageInfo();
+    // The last site scan, and snippet id -> [{ path, via }] from it; both null before the first scan
+    snippetUsage(snippets) {
+      const index = UsageIndex.load();
+      const findIds = html => this.snippetManager.getSnippetDependencies(html);
+      return { index, usage: index ? UsageIndex.usage(index, snippets, findIds) : null };
     }
 
-    attachEventListeners() {
-      // Tab switching
-      this.controlPanel.querySelectorAll('.tab').forEach(tab => {
-        tab.addEventListener('click', (e) => {
-          const tabName = e.target.dataset.tab;
-          this.switchTab(tabName);
+    // Why the last scan may have missed pages that use a snippet, or null
+    incompleteScanNote(index) {
+      if (!index || (!index.failed.length && !index.skipped)) return null;
+      const missed = [
+        index.failed.length ? `${index.failed.length} page${index.failed.length !== 1 ? 's' : ''} couldn't be read` : '',
+        index.skipped ? `${index.skipped} were over the page limit` : ''
+      ].filter(Boolean).join(' and ');
+      return `The last scan is incomplete: ${missed}, so a snippet may be used on pages it didn't see.`;
+    }
+
+    async scanUsage() {
+      if (this.usageScan) return;
+
+      this.usageScan = { progress: 'Reading sitemap…' };
+      this.updateSnippetsList();
+      try {
+        const index = await UsageIndex.scan(html => this.snippetManager.getSnippetDependencies(html), (done, total) => {
+          this.usageScan.progress = `Scanning ${done}/${total}…`;
+          const button = document.getElementById('scan-usage');
+          if (button) button.textContent = this.usageScan.progress;
         });
-      });
+        const failed = index.failed.length ? ` (${index.failed.length} couldn't be read)` : '';
+        const skipped = index.skipped ? `; ${index.skipped} more in the sitemap are over the ${CONFIG.usageScanMaxPages}-page limit` : '';
+        this.showStatus(`Scanned ${index.pageCount} pages${failed}${skipped}`, index.failed.length || index.skipped ? 'info' : 'success');
+      } catch (error) {
+        this.showStatus('Site scan failed: ' + error.message, 'error');
+      } finally {
+        this.usageScan = null;
+        this.updateSnippetsList();
+      }
+    }
 
-      // Minimize button
-      const minimizeBtn = document.getElementById('minimize-panel');
-      minimizeBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.toggleMinimize();
-      });
+    async viewSnippetUsage(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const { index, usage } = this.snippetUsage(snippets);
 
-      // Click anywhere on minimized panel to expand
-      this.controlPanel.addEventListener('click', (e) => {
-        if (this.controlPanel.classList.contains('minimized')) {
-          this.toggleMinimize();
-        }
-      });
+      if (!snippets[snippetId] || !index) return;
 
-      // Help
-      document.getElementById('help-panel').addEventListener('click', () => {
-        this.showHelp();
-      });
+      const pages = usage[snippetId];
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="usage-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="snippet-item-meta">
+            Scanned ${Utils.formatDate(index.scannedAt)} from ${Utils.escapeHtml(CONFIG.sitemapPath)}
+            ${index.skipped ? ` · the ${index.skipped} pages past the first ${index.pageCount} weren't scanned` : ''}
+          </div>
+          <div class="version-history">
+            <div class="version-history-title">Pages (${pages.length})</div>
+            ${pages.length ? pages.map(page => `
+              <div class="version-item">
+                <div class="version-item-info">
+                  <a href="${Utils.escapeHtml(page.path)}" target="_blank" style="color: #667eea;">${Utils.escapeHtml(page.path)}</a>
+                  ${page.via ? `<br><small style="color: #6b7280;">inside ${Utils.escapeHtml(page.via)}</small>` : ''}
+                </div>
+              </div>
+            `).join('') : '<div class="snippet-item-meta">Not used on any page in the sitemap</div>'}
+          </div>
+          ${index.failed.length ? `
+            <div class="version-history">
+              <div class="version-history-title">Couldn't be read</div>
+              <div class="snippet-item-meta">${index.failed.map(Utils.escapeHtml).join('<br>')}</div>
+            </div>
+          ` : ''}
+        </div>
+      `;
 
-      // Create global snippet
-      document.getElementById('create-global-snippet').addEventListener('click', () => {
-        this.createGlobalSnippet();
-      });
+      document.getElementById('usage-back').addEventListener('click', () => this.updateSnippetsList());
+    }
 
-      // Sync all
-      document.getElementById('sync-all-snippets').addEventListener('click', () => {
-        this.syncAllSnippets();
-      });
+    async viewSnippetOrganization(snippetId) {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
 
-      // Import/Export
-      document.getElementById('import-export').addEventListener('click', () => {
-        this.showImportExport();
-      });
+      if (!snippetData) return;
 
-      // Settings
-      document.getElementById('auto-save-toggle').addEventListener('change', (e) => {
-        CONFIG.autoSave = e.target.checked;
-        this.showStatus('Settings saved', 'success');
-      });
+      const allTags = Array.from(new Set(Object.values(snippets).flatMap(snippet => snippet.tags || []))).sort();
+      const folders = Array.from(new Set(Object.values(snippets).map(snippet => snippet.folder).filter(Boolean))).sort();
 
-      document.getElementById('debug-mode-toggle').addEventListener('change', (e) => {
-        CONFIG.debugMode = e.target.checked;
-        this.showStatus('Debug mode ' + (CONFIG.debugMode ? 'enabled' : 'disabled'), 'info');
-      });
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="organize-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item">
+          <div class="snippet-item-header">
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Folder</label>
+            <input type="text" class="form-input" id="snippet-folder" list="snippet-folder-options" value="${Utils.escapeHtml(snippetData.folder || '')}" placeholder="e.g., Footer">
+            <datalist id="snippet-folder-options">
+              ${folders.map(folder => `<option value="${Utils.escapeHtml(folder)}">`).join('')}
+            </datalist>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Tags (comma-separated)</label>
+            <input type="text" class="form-input" id="snippet-tags" value="${Utils.escapeHtml((snippetData.tags || []).join(', '))}" placeholder="e.g., promo, legal">
+            ${allTags.length ? `
+              <div style="margin-top: 4px;">
+                ${allTags.map(tag => `<button class="snippet-tag" data-add-tag="${Utils.escapeHtml(tag)}">+ ${Utils.escapeHtml(tag)}</button>`).join('')}
+              </div>
+            ` : ''}
+          </div>
+          <button class="btn btn-primary" id="save-organization">💾 Save</button>
+        </div>
+      `;
 
-      document.getElementById('version-limit').addEventListener('change', (e) => {
-        CONFIG.maxVersionHistory = parseInt(e.target.value);
-        this.showStatus('Version limit updated', 'success');
+      const tagsInput = document.getElementById('snippet-tags');
+      const parseTags = () => tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+      listContainer.querySelectorAll('[data-add-tag]').forEach(button => {
+        button.addEventListener('click', () => {
+          const tags = parseTags();
+          if (!tags.includes(button.dataset.addTag)) {
+            tagsInput.value = [...tags, button.dataset.addTag].join(', ');
+          }
+        });
       });
 
-      // Clear all data
-      document.getElementById('clear-all-data').addEventListener('click', () => {
-        this.clearAllData();
+      document.getElementById('organize-back').addEventListener('click', () => this.updateSnippetsList());
+      document.getElementById('save-organization').addEventListener('click', async () => {
+        try {
+          await this.snippetManager.storage.setOrganization(snippetId, {
+            tags: parseTags(),
+            folder: document.getElementById('snippet-folder').value
+          });
+          this.showStatus('Tags and folder saved', 'success');
+          this.updateSnippetsList();
+        } catch (error) {
+          this.showStatus('Failed to save tags: ' + error.message, 'error');
+        }
       });
     }
 
-    toggleMinimize() {
-      const minimizeBtn = document.getElementById('minimize-panel');
-      this.controlPanel.classList.toggle('minimized');
-      
-      Utils.log('Toggle minimize - minimized state:', this.controlPanel.classList.contains('minimized'));
-      
-      if (this.controlPanel.classList.contains('minimized')) {
-        minimizeBtn.innerHTML = '✂️';
-        minimizeBtn.title = 'Click to expand';
-        Utils.log('Set button to scissors emoji');
-      } else {
-        minimizeBtn.textContent = '−';
-        minimizeBtn.title = 'Minimize';
-        Utils.log('Set button to minus sign');
+    // Snippets nothing uses, and containers whose snippet doesn't exist: from
+    // the last site scan, this page and the snippets themselves
+    async viewCleanupReport() {
+      const snippets = await this.snippetManager.storage.getAllSnippets();
+      const { index, usage } = this.snippetUsage(snippets);
+      const here = window.location.pathname + window.location.search;
+      const onThisPage = Array.from(document.querySelectorAll(`[${CONFIG.snippetAttribute}]`))
+        .map(element => element.getAttribute(CONFIG.snippetAttribute));
+
+      const unused = usage
+        ? Object.keys(snippets).filter(snippetId => usage[snippetId].length === 0 && !onThisPage.includes(snippetId)).sort()
+        : [];
+
+      // missing snippet id -> where its containers are
+      const broken = {};
+      const addBroken = (snippetId, where) => {
+        if (snippets[snippetId]) return;
+        broken[snippetId] = broken[snippetId] || new Set();
+        broken[snippetId].add(where);
+      };
+      if (index) {
+        Object.keys(index.pages).forEach(path => index.pages[path].forEach(snippetId => addBroken(snippetId, path)));
       }
-    }
+      onThisPage.forEach(snippetId => addBroken(snippetId, here));
+      Object.keys(snippets).forEach(parentId => {
+        const current = snippets[parentId].versions[snippets[parentId].currentVersion];
+        const html = current ? current.html : '';
+        this.snippetManager.getSnippetDependencies(html).forEach(snippetId => addBroken(snippetId, `inside snippet ${parentId}`));
+      });
+      const brokenIds = Object.keys(broken).sort();
+      const existingIds = Object.keys(snippets).sort();
+      const incomplete = this.incompleteScanNote(index);
 
-    setupSelectionHandler() {
-      let indicator = null;
+      const listContainer = document.getElementById('snippets-list');
+      listContainer.innerHTML = `
+        <button class="btn btn-secondary" id="cleanup-back" style="margin-bottom: 16px;">
+          ← Back to List
+        </button>
+        <div class="snippet-item-meta" style="margin-bottom: 8px;">
+          ${index ? `From the site scan of ${Utils.formatDate(index.scannedAt)} and this page` : 'Only this page is checked until the site is scanned'}
+        </div>
+        <div class="version-history">
+          <div class="version-history-title">Unused Snippets (${unused.length})</div>
+          ${!usage ? `
+            <div class="snippet-item-meta">Scan the site to find snippets no page uses</div>
+          ` : unused.length ? `
+            <div class="snippet-item-meta" style="margin-bottom: 6px;">
+              Pages missing from the sitemap, such as unlisted or password-protected ones, aren't scanned.
+              Check that a snippet isn't used there before deleting it.
+              ${incomplete ? `<br><strong style="color: #b45309;">⚠️ ${Utils.escapeHtml(incomplete)}</strong>` : ''}
+            </div>
+            ${unused.map(snippetId => `
+              <label class="version-item" style="cursor: pointer;">
+                <div class="version-item-info">
+                  <input type="checkbox" data-unused="${Utils.escapeHtml(snippetId)}">
+                  ${Utils.escapeHtml(snippetId)}
+                  ${StorageManager.publishedEntry(snippets[snippetId]) ? '' : '<small style="color: #6b7280;"> · unpublished</small>'}
+                </div>
+              </label>
+            `).join('')}
+            <button class="btn btn-danger" id="delete-unused" style="margin-top: 8px;">🗑️ Delete Selected</button>
+          ` : '<div class="snippet-item-meta">Every snippet is used</div>'}
+        </div>
+        <div class="version-history">
+          <div class="version-history-title">Missing Snippets (${brokenIds.length})</div>
+          ${brokenIds.length ? `
+            ${brokenIds.map(snippetId => `
+              <label class="version-item" style="cursor: pointer; align-items: flex-start;">
+                <div class="version-item-info">
+                  <input type="checkbox" data-broken="${Utils.escapeHtml(snippetId)}" checked>
+                  ${Utils.escapeHtml(snippetId)}
+                  <br><small style="color: #6b7280;">${Array.from(broken[snippetId]).sort().map(Utils.escapeHtml).join('<br>')}</small>
+                </div>
+              </label>
+            `).join('')}
+            <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+              <button class="btn btn-secondary" id="create-missing" style="flex: 1;">✨ Create Selected</button>
+              ${existingIds.length ? `
+                <select class="form-input" id="alias-target" style="flex: 1; padding: 4px 6px;">
+                  <option value="">Point selected to…</option>
+                  ${existingIds.map(snippetId => `<option value="${Utils.escapeHtml(snippetId)}">${Utils.escapeHtml(snippetId)}</option>`).join('')}
+                </select>
+              ` : ''}
+            </div>
+          ` : '<div class="snippet-item-meta">Every container points to an existing snippet</div>'}
+        </div>
+      `;
 
-      document.addEventListener('mouseover', (e) => {
-        if (this.controlPanel.contains(e.target)) return;
+      const checked = attribute => Array.from(listContainer.querySelectorAll(`[${attribute}]:checked`))
+        .map(input => input.getAttribute(attribute));
 
-        const element = e.target;
-        
-        if (!this.isValidBlock(element)) {
-          if (indicator) {
-            indicator.remove();
-            indicator = null;
-          }
-          return;
-        }
+      document.getElementById('cleanup-back').addEventListener('click', () => this.updateSnippetsList());
 
-        if (!indicator) {
-          indicator = document.createElement('div');
-          indicator.className = 'selection-indicator';
-          document.body.appendChild(indicator);
+      document.getElementById('delete-unused')?.addEventListener('click', async () => {
+        const snippetIds = checked('data-unused');
+        if (snippetIds.length === 0) return;
+        const warning = incomplete ? `\n\n${incomplete}` : '';
+        if (!confirm(`Delete ${snippetIds.length} unused snippet${snippetIds.length !== 1 ? 's' : ''}? This cannot be undone.${warning}\n\n${snippetIds.join('\n')}`)) {
+          return;
         }
 
-        const rect = element.getBoundingClientRect();
-        indicator.style.left = rect.left + 'px';
-        indicator.style.top = rect.top + 'px';
-        indicator.style.width = rect.width + 'px';
-        indicator.style.height = rect.height + 'px';
-      });
-
-      document.addEventListener('click', (e) => {
-        if (this.controlPanel.contains(e.target)) return;
-
-        const element = e.target;
-        
-        if (this.isValidBlock(element)) {
-          this.selectedElement = element;
-          this.updateSelectedElementInfo(element);
-          e.preventDefault();
-          e.stopPropagation();
+        try {
+          for (const snippetId of snippetIds) {
+            await this.snippetManager.storage.deleteSnippet(snippetId);
+          }
+          this.showStatus(`Deleted ${snippetIds.length} unused snippet${snippetIds.length !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+          this.showStatus('Failed to delete snippets: ' + error.message, 'error');
         }
+        this.viewCleanupReport();
       });
-    }
 
-    isValidBlock(element) {
-      return element.classList.contains('sqs-block') ||
-             element.classList.contains('code-block') ||
-             element.classList.contains('html-block') ||
-             element.classList.contains('markdown-block') ||
-             element.classList.contains('summary-block');
-    }
+      // Either way the pages don't need editing: a snippet with the missing id
+      // is created, holding a copy of its content or a container of another snippet
+      const createMissing = async (htmlFor, description = '') => {
+        const snippetIds = checked('data-broken');
+        if (snippetIds.length === 0) return;
 
-    updateSelectedElementInfo(element) {
-      const info = document.getElementById('selected-element-info');
-      const blockType = Array.from(element.classList)
-        .find(c => c.includes('block'))
-        ?.replace('sqs-block-', '')
-        ?.replace('-', ' ') || 'unknown';
-      
-      info.innerHTML = `
-        <strong>Selected:</strong> ${blockType}<br>
-        <small style="font-family: monospace;">${element.className.split(' ').slice(0, 3).join(' ')}</small>
-      `;
-    }
+        try {
+          await this.snippetManager.storage.saveSnippets(
+            snippetIds.map(snippetId => ({ snippetId, html: htmlFor(snippetId) })),
+            'current-user'
+          );
+          const plural = snippetIds.length !== 1 ? 's' : '';
+          this.showStatus(`Created ${snippetIds.length} snippet${plural}${description} as draft${plural}; publish to show them on the live site`, 'success');
+          this.snippetManager.renderAllSnippets();
+        } catch (error) {
+          this.showStatus('Failed to create snippets: ' + error.message, 'error');
+        }
+        this.viewCleanupReport();
+      };
 
-    async createGlobalSnippet() {
-      const snippetIdInput = document.getElementById('snippet-id-input');
-      const snippetId = Utils.sanitizeSnippetId(snippetIdInput.value.trim());
+      document.getElementById('create-missing')?.addEventListener('click', () => {
+        createMissing(snippetId => `<p>${Utils.escapeHtml(snippetId)}</p>`);
+      });
 
-      if (!snippetId) {
-        this.showStatus('Please enter a snippet ID', 'error');
-        return;
-      }
+      document.getElementById('alias-target')?.addEventListener('change', (e) => {
+        const target = e.target.value;
+        if (!target) return;
+        createMissing(() => this.snippetManager.aliasHtml(target), ` showing "${target}"`);
+      });
+    }
 
-      if (!this.selectedElement) {
-        this.showStatus('Please select a block first', 'error');
+    async restoreVersion(snippetId, versionId) {
+      if (!confirm('Restore this version? This will create a new version based on the selected one.')) {
         return;
       }
 
       try {
-        // Mark the element
-        this.selectedElement.setAttribute(CONFIG.snippetAttribute, snippetId);
-
-        // Save to storage
-        await this.snippetManager.storage.saveSnippet(snippetId, {
-          html: this.selectedElement.innerHTML,
-          author: 'current-user'
-        });
-
-        this.showStatus(`Global snippet "${snippetId}" created successfully!`, 'success');
-        snippetIdInput.value = '';
-        this.selectedElement = null;
-        document.getElementById('selected-element-info').textContent = 'Click on any block to select it';
+        const restored = await this.snippetManager.storage.restoreVersion(snippetId, versionId, 'current-user');
+        this.showStatus(`Version restored as v${restored.version}`, 'success');
+        this.viewSnippetVersions(snippetId);
         
-        // Refresh the manage tab
-        this.updateSnippetsList();
+        // Update all instances on the page
+        this.snippetManager.renderSnippet(snippetId);
       } catch (error) {
-        this.showStatus('Failed to create global snippet: ' + error.message, 'error');
-        Utils.error('Create snippet error', error);
+        this.showStatus('Failed to restore version: ' + error.message, 'error');
       }
     }
 
-    async syncAllSnippets() {
+    async publishSnippet(snippetId, versionId = null) {
       try {
-        const elements = document.querySelectorAll(`[${CONFIG.snippetAttribute}]`);
-        let count = 0;
-
-        for (const element of elements) {
-          const snippetId = element.getAttribute(CONFIG.snippetAttribute);
-          await this.snippetManager.storage.saveSnippet(snippetId, {
-            html: element.innerHTML,
-            author: 'current-user'
-          });
-          count++;
+        const version = await this.snippetManager.storage.publish(snippetId, versionId);
+        this.showStatus(`Published "${snippetId}" v${version.version} to the live site`, 'success');
+        if (versionId) {
+          this.viewSnippetVersions(snippetId);
+        } else {
+          this.updateSnippetsList();
         }
-
-        this.showStatus(`Synced ${count} snippets successfully!`, 'success');
-        this.updateSnippetsList();
       } catch (error) {
-        this.showStatus('Failed to sync snippets: ' + error.message, 'error');
+        this.showStatus('Failed to publish: ' + error.message, 'error');
       }
     }
 
-    async updateSnippetsList() {
-      const listContainer = document.getElementById('snippets-list');
-      const snippets = await this.snippetManager.storage.getAllSnippets();
-      const snippetIds = Object.keys(snippets);
-
-      if (snippetIds.length === 0) {
-        listContainer.innerHTML = `
-          <div class="empty-state">
-            <div class="empty-state-icon">✂️</div>
-            <div class="empty-state-text">
-              No global snippets yet.<br>
-              Create your first snippet in the Create tab.
-            </div>
-          </div>
-        `;
+    async unpublishSnippet(snippetId) {
+      if (!confirm(`Unpublish "${snippetId}"? The live site will stop showing it until it is published again, and a running A/B test ends.`)) {
         return;
       }
 
-      listContainer.innerHTML = `
-        <div class="snippets-list-header">
-          Global Snippets
-          <span class="snippet-count">${snippetIds.length}</span>
-        </div>
-        ${snippetIds.map(snippetId => this.renderSnippetItem(snippetId, snippets[snippetId])).join('')}
-      `;
-
-      // Attach event listeners for snippet actions
-      snippetIds.forEach(snippetId => {
-        const viewBtn = listContainer.querySelector(`[data-action="view"][data-snippet="${snippetId}"]`);
-        const deleteBtn = listContainer.querySelector(`[data-action="delete"][data-snippet="${snippetId}"]`);
+      try {
+        await this.snippetManager.storage.unpublish(snippetId);
+        this.showStatus(`Unpublished "${snippetId}"`, 'success');
+        this.updateSnippetsList();
+      } catch (error) {
+        this.showStatus('Failed to unpublish: ' + error.message, 'error');
+      }
+    }
 
-        if (viewBtn) {
-          viewBtn.addEventListener('click', () => this.viewSnippetVersions(snippetId));
-        }
+    async publishAllDrafts() {
+      if (!confirm('Publish the current draft of every snippet with unpublished changes?')) {
+        return;
+      }
 
-        if (deleteBtn) {
-          deleteBtn.addEventListener('click', () => this.deleteSnippet(snippetId));
-        }
-      });
+      try {
+        const publishedIds = await this.snippetManager.storage.publishAllDrafts();
+        this.showStatus(`Published ${publishedIds.length} snippet${publishedIds.length !== 1 ? 's' : ''}`, 'success');
+        this.updateSnippetsList();
+      } catch (error) {
+        this.showStatus('Failed to publish drafts: ' + error.message, 'error');
+      }
     }
 
-    renderSnippetItem(snippetId, snippetData) {
-      const currentVersion = snippetData.versions[snippetData.currentVersion];
-      const timestamp = currentVersion ? Utils.formatDate(currentVersion.timestamp) : 'Unknown';
-      const versionCount = snippetData.versions.length;
-
-      return `
-        <div class="snippet-item">
-          <div class="snippet-item-header">
-            <div class="snippet-item-id">${snippetId}</div>
-          </div>
-          <div class="snippet-item-meta">
-            ${versionCount} version${versionCount !== 1 ? 's' : ''} · Last updated: ${timestamp}
-          </div>
-          <div class="snippet-item-actions">
-            <button class="snippet-item-btn view" data-action="view" data-snippet="${snippetId}">
-              👁️ View Versions
-            </button>
-            <button class="snippet-item-btn delete" data-action="delete" data-snippet="${snippetId}">
-              🗑️ Delete
-            </button>
-          </div>
-        </div>
-      `;
+    describeSchedule(version) {
+      const { start, end } = StorageManager.scheduleWindow(version);
+      const parts = [];
+      if (version.publishAt) parts.push(`from ${start !== null ? Utils.formatDate(start) : version.publishAt}`);
+      if (version.expiresAt) parts.push(`until ${end !== null ? Utils.formatDate(end) : version.expiresAt}`);
+      if (version.timezone) parts.push(`(${version.timezone})`);
+      return parts.join(' ');
     }
 
-    async viewSnippetVersions(snippetId) {
+    async viewVersionSchedule(snippetId, versionId) {
       const snippets = await this.snippetManager.storage.getAllSnippets();
       const snippetData = snippets[snippetId];
+      const version = snippetData && snippetData.versions.find(v => v.id === versionId);
 
-      if (!snippetData) return;
-
-      const versionsHtml = snippetData.versions.map((version, index) => {
-        const isCurrent = index === snippetData.currentVersion;
-        return `
-          <div class="version-item ${isCurrent ? 'current' : ''}">
-            <div class="version-item-info">
-              v${version.version} · ${Utils.formatDate(version.timestamp)}
-              ${isCurrent ? ' (current)' : ''}
-            </div>
-            ${!isCurrent ? `
-              <button class="version-item-btn" onclick="window.globalSnippetsUI.restoreVersion('${snippetId}', ${index})">
-                Restore
-              </button>
-            ` : ''}
-          </div>
-        `;
-      }).reverse().join('');
+      if (!version) return;
 
+      const zone = version.timezone || CONFIG.scheduleTimezone || '';
       const listContainer = document.getElementById('snippets-list');
       listContainer.innerHTML = `
-        <button class="btn btn-secondary" onclick="window.globalSnippetsUI.updateSnippetsList()" style="margin-bottom: 16px;">
-          ← Back to List
+        <button class="btn btn-secondary" id="schedule-back" style="margin-bottom: 16px;">
+          ← Back to Versions
         </button>
         <div class="snippet-item">
           <div class="snippet-item-header">
-            <div class="snippet-item-id">${snippetId}</div>
+            <div class="snippet-item-id">${Utils.escapeHtml(snippetId)} · v${Utils.escapeHtml(version.version)}</div>
           </div>
           <div class="version-history">
-            <div class="version-history-title">Version History</div>
-            ${versionsHtml}
+            <div class="version-history-title">Schedule</div>
+            <small style="color: #6b7280; font-size: 11px; margin-bottom: 12px; display: block;">
+              While its window is open this version is shown on the live site instead of the published one.
+              Times are checked in the visitor's browser.
+            </small>
+            <div class="form-group">
+              <label class="form-label">Publish at</label>
+              <input type="datetime-local" class="form-input" id="schedule-publish-at" value="${Utils.escapeHtml(version.publishAt || '')}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Expires at</label>
+              <input type="datetime-local" class="form-input" id="schedule-expires-at" value="${Utils.escapeHtml(version.expiresAt || '')}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Time zone</label>
+              <input type="text" class="form-input" id="schedule-timezone" placeholder="Visitor's local time, or e.g. Europe/London" value="${Utils.escapeHtml(zone)}">
+            </div>
+            <div style="display: flex; gap: 8px;">
+              <button class="btn btn-primary" id="save-schedule">Save Schedule</button>
+              <button class="btn btn-secondary" id="clear-schedule">Clear</button>
+            </div>
           </div>
         </div>
       `;
-    }
 
-    async restoreVersion(snippetId, versionNumber) {
-      if (!confirm('Restore this version? This will create a new version based on the selected one.')) {
-        return;
-      }
+      const save = async (schedule) => {
+        try {
+          await this.snippetManager.storage.scheduleVersion(snippetId, versionId, schedule);
+          this.showStatus(schedule.publishAt || schedule.expiresAt ? 'Schedule saved' : 'Schedule cleared', 'success');
+          this.viewSnippetVersions(snippetId);
+        } catch (error) {
+          this.showStatus('Failed to save schedule: ' + error.message, 'error');
+        }
+      };
+
+      document.getElementById('schedule-back').addEventListener('click', () => this.viewSnippetVersions(snippetId));
+      document.getElementById('save-schedule').addEventListener('click', () => {
+        const timezone = document.getElementById('schedule-timezone').value.trim();
+        save({
+          publishAt: document.getElementById('schedule-publish-at').value,
+          expiresAt: document.getElementById('schedule-expires-at').value,
+          // Only store a zone that differs from the site-wide default
+          timezone: timezone !== (CONFIG.scheduleTimezone || '') ? timezone : ''
+        });
+      });
+      document.getElementById('clear-schedule').addEventListener('click', () => save({}));
+    }
 
+    async pinVersion(snippetId, versionId, pinned) {
       try {
-        await this.snippetManager.storage.restoreVersion(snippetId, versionNumber);
-        this.showStatus('Version restored successfully!', 'success');
+        await this.snippetManager.storage.pinVersion(snippetId, versionId, pinned);
+        this.showStatus(pinned ? 'Version pinned' : 'Version unpinned', 'success');
         this.viewSnippetVersions(snippetId);
-        
-        // Update all instances on the page
-        this.snippetManager.renderSnippet(snippetId);
       } catch (error) {
-        this.showStatus('Failed to restore version: ' + error.message, 'error');
+        this.showStatus('Failed to update pin: ' + error.message, 'error');
       }
     }
 
     async deleteSnippet(snippetId) {
-      if (!confirm(`Delete global snippet "${snippetId}"? This cannot be undone.`)) {
+      const { index, usage } = this.snippetUsage(await this.snippetManager.storage.getAllSnippets());
+      let warning = '';
+      if (!index) {
+        warning = '\n\nThe site hasn\'t been scanned, so the pages that use it are unknown.';
+      } else if (usage[snippetId] && usage[snippetId].length) {
+        const pages = usage[snippetId];
+        const shown = pages.slice(0, 15).map(page => `  ${page.path}${page.via ? ` (inside ${page.via})` : ''}`);
+        if (pages.length > shown.length) shown.push(`  …and ${pages.length - shown.length} more`);
+        warning = `\n\nIt is used on ${pages.length} page${pages.length !== 1 ? 's' : ''} (scanned ${Utils.formatDate(index.scannedAt)}):\n${shown.join('\n')}`;
+      }
+      if (this.incompleteScanNote(index)) {
+        warning += `\n\n${this.incompleteScanNote(index)}`;
+      }
+
+      if (!confirm(`Delete global snippet "${snippetId}"? This cannot be undone.${warning}`)) {
         return;
       }
 
@@ -1257,7 +6035,7 @@
         await this.snippetManager.storage.deleteSnippet(snippetId);
         
         // Remove attribute from elements
-        document.querySelectorAll(`[${CONFIG.snippetAttribute}="${snippetId}"]`).forEach(el => {
+        document.querySelectorAll(Utils.attributeSelector(CONFIG.snippetAttribute, snippetId)).forEach(el => {
           el.removeAttribute(CONFIG.snippetAttribute);
         });
 
@@ -1278,13 +6056,11 @@
       }
 
       try {
-        localStorage.removeItem(CONFIG.storageKey);
+        await this.snippetManager.storage.clearLocal();
         
         document.querySelectorAll(`[${CONFIG.snippetAttribute}]`).forEach(el => {
           el.removeAttribute(CONFIG.snippetAttribute);
         });
-
-        this.snippetManager.storage.cache = {};
         
         this.showStatus('All data cleared', 'success');
         this.updateSnippetsList();
@@ -1310,7 +6086,7 @@
       `;
 
       modal.innerHTML = `
-        <div style="background: white; padding: 30px; border-radius: 12px; max-width: 600px; width: 90%;">
+        <div style="background: white; padding: 30px; border-radius: 12px; max-width: 600px; width: 90%; max-height: 90vh; overflow-y: auto;">
           <h3 style="margin: 0 0 20px 0; font-size: 18px;">Import/Export Data</h3>
           
           <div style="margin-bottom: 20px;">
@@ -1319,69 +6095,321 @@
             </button>
             <div id="export-output" style="display: none; margin-top: 10px;">
               <textarea class="form-textarea" id="export-data" readonly style="height: 200px;"></textarea>
-              <button class="btn btn-secondary" id="copy-export" style="margin-top: 10px;">
-                📋 Copy to Clipboard
-              </button>
+              <div style="display: flex; gap: 8px; margin-top: 10px;">
+                <button class="btn btn-primary" id="download-export">💾 Download .json</button>
+                <button class="btn btn-secondary" id="download-archive" title="One folder per snippet, for keeping snippets in version control">🗂️ Download .zip</button>
+                <button class="btn btn-secondary" id="copy-export">📋 Copy to Clipboard</button>
+              </div>
             </div>
           </div>
 
           <div style="margin-bottom: 20px;">
-            <label class="form-label">Import Data (paste JSON)</label>
-            <textarea class="form-textarea" id="import-data" placeholder="Paste exported data here..." style="height: 200px;"></textarea>
+            <label class="form-label">Import Data (paste JSON or drop a .json or .zip file)</label>
+            <textarea class="form-textarea" id="import-data" placeholder="Paste exported data here, or drop an export file..." style="height: 200px;"></textarea>
+            <input type="file" id="import-file" accept=".json,.zip,application/json,application/zip" style="margin-top: 8px; font-size: 12px;">
             <button class="btn btn-primary" id="import-btn" style="margin-top: 10px;">
-              📤 Import Snippets
+              🔍 Preview Import
             </button>
+            <div id="import-preview" style="margin-top: 12px;"></div>
+          </div>
+
+          <button class="btn btn-secondary" id="close-modal">Close</button>
+        </div>
+      `;
+
+      document.body.appendChild(modal);
+
+      let exportData = '';
+      let archive = null;
+
+      const download = (data, type, extension) => {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `global-snippets-${ImportExport.siteId()}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      };
+
+      // Export
+      document.getElementById('export-btn').addEventListener('click', async () => {
+        const snippets = await this.snippetManager.storage.getAllSnippets();
+        exportData = JSON.stringify(ImportExport.createEnvelope(snippets), null, 2);
+        document.getElementById('export-data').value = exportData;
+        document.getElementById('export-output').style.display = 'block';
+      });
+
+      document.getElementById('download-export').addEventListener('click', () => {
+        download(exportData, 'application/json', 'json');
+      });
+
+      document.getElementById('download-archive').addEventListener('click', async () => {
+        const snippets = await this.snippetManager.storage.getAllSnippets();
+        download(ImportExport.createArchive(snippets), 'application/zip', 'zip');
+      });
+
+      document.getElementById('copy-export').addEventListener('click', () => {
+        const textarea = document.getElementById('export-data');
+        textarea.select();
+        document.execCommand('copy');
+        this.showStatus('Copied to clipboard!', 'success');
+      });
+
+      // Import from a pasted export, a chosen file or a dropped one. A zip
+      // can't be shown in the textarea, so it is kept until something is pasted.
+      const importData = document.getElementById('import-data');
+      const preview = () => this.previewImport(archive
+        ? async () => ImportExport.readArchive(await Zip.read(archive))
+        : () => ImportExport.parse(importData.value), modal);
+
+      const readFile = async (file) => {
+        if (!file) return;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (Zip.isZip(bytes)) {
+          archive = bytes;
+          importData.value = '';
+          importData.placeholder = `${file.name} (zip archive)`;
+        } else {
+          archive = null;
+          importData.value = new TextDecoder().decode(bytes);
+        }
+        preview();
+      };
+
+      importData.addEventListener('input', () => {
+        archive = null;
+      });
+
+      document.getElementById('import-file').addEventListener('change', (e) => readFile(e.target.files[0]));
+      importData.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        importData.style.borderColor = '#667eea';
+      });
+      importData.addEventListener('dragleave', () => {
+        importData.style.borderColor = '';
+      });
+      importData.addEventListener('drop', (e) => {
+        e.preventDefault();
+        importData.style.borderColor = '';
+        readFile(e.dataTransfer.files[0]);
+      });
+
+      document.getElementById('import-btn').addEventListener('click', preview);
+
+      // Close
+      document.getElementById('close-modal').addEventListener('click', () => {
+        modal.remove();
+      });
+
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          modal.remove();
+        }
+      });
+    }
+
+    // Check an export against the stored snippets and let the editor pick what happens to each.
+    // load() returns or resolves to what ImportExport.parse() does.
+    async previewImport(load, modal) {
+      const preview = document.getElementById('import-preview');
+      let parsed;
+
+      try {
+        parsed = await load();
+      } catch (error) {
+        preview.innerHTML = '';
+        this.showStatus('Invalid import data: ' + error.message, 'error');
+        return;
+      }
+
+      const existing = await this.snippetManager.storage.getAllSnippets();
+      const snippetIds = Object.keys(parsed.snippets).sort();
+      const labels = {
+        new: { text: 'New', className: 'published' },
+        identical: { text: 'Identical', className: '' },
+        settings: { text: 'Settings differ', className: 'draft' },
+        older: { text: 'Older', className: '' },
+        newer: { text: 'Newer', className: 'published' },
+        conflicting: { text: 'Conflicting', className: 'draft' },
+        invalid: { text: 'Invalid', className: 'invalid' }
+      };
+      const statuses = {};
+      snippetIds.forEach(snippetId => {
+        statuses[snippetId] = parsed.errors[snippetId]
+          ? 'invalid'
+          : ImportExport.classify(parsed.snippets[snippetId], existing[snippetId]);
+      });
+
+      const source = parsed.formatVersion === 0
+        ? 'Export from an older version (no checksums)'
+        : `Exported from ${Utils.escapeHtml(parsed.siteId || 'unknown site')} on ${Utils.formatDate(parsed.exportedAt)}`;
+      const otherSite = parsed.siteId && parsed.siteId !== ImportExport.siteId();
+
+      const rowsHtml = snippetIds.map(snippetId => {
+        const status = statuses[snippetId];
+        const incoming = parsed.snippets[snippetId];
+        const mine = existing[snippetId];
+        const options = status === 'invalid'
+          ? ['skip']
+          : (mine ? ['merge', 'overwrite', 'skip'] : ['overwrite', 'skip']);
+        const optionLabels = { merge: 'Merge histories', overwrite: mine ? 'Overwrite' : 'Import', skip: 'Skip' };
+        const chosen = status === 'invalid' ? 'skip' : ImportExport.defaultAction(status);
+
+        return `
+          <div class="version-item" style="align-items: flex-start;">
+            <div class="version-item-info">
+              <strong>${Utils.escapeHtml(snippetId)}</strong>
+              <span class="snippet-status ${labels[status].className}">${labels[status].text}</span>
+              ${incoming && incoming.runScripts === true ? ' ⚡' : ''}
+              <br><small style="color: #6b7280;">
+                ${Array.isArray(incoming && incoming.versions) ? `${incoming.versions.length} versions in file` : ''}
+                ${mine ? ` · ${mine.versions.length} stored` : ''}
+              </small>
+              ${parsed.errors[snippetId] ? `
+                <br><small style="color: #991b1b;">${parsed.errors[snippetId].map(Utils.escapeHtml).join('<br>')}</small>
+              ` : ''}
+              ${parsed.warnings[snippetId] ? `
+                <br><small style="color: #b45309;">⚠️ ${parsed.warnings[snippetId].map(Utils.escapeHtml).join('<br>')}</small>
+              ` : ''}
+            </div>
+            <select class="form-input" data-import-action="${Utils.escapeHtml(snippetId)}" style="width: auto; padding: 4px 6px;" ${status === 'invalid' ? 'disabled' : ''}>
+              ${options.map(option => `<option value="${option}" ${option === chosen ? 'selected' : ''}>${optionLabels[option]}</option>`).join('')}
+            </select>
           </div>
+        `;
+      }).join('');
+
+      preview.innerHTML = `
+        <div class="version-history">
+          <div class="version-history-title">Import Preview</div>
+          <small style="color: #6b7280; font-size: 11px; margin-bottom: 8px; display: block;">
+            ${source}${otherSite ? ' · <strong style="color: #b45309;">another site</strong>' : ''}
+          </small>
+          ${rowsHtml || '<div class="snippet-item-meta">No snippets in this export</div>'}
+        </div>
+        ${snippetIds.length ? '<button class="btn btn-primary" id="apply-import" style="margin-top: 10px;">📤 Import Selected</button>' : ''}
+      `;
+
+      const applyBtn = document.getElementById('apply-import');
+      if (!applyBtn) return;
+
+      applyBtn.addEventListener('click', async () => {
+        const toImport = {};
+        preview.querySelectorAll('[data-import-action]').forEach(select => {
+          const snippetId = select.dataset.importAction;
+          if (select.disabled || select.value === 'skip') return;
+
+          toImport[snippetId] = select.value === 'merge'
+            ? ImportExport.merge(existing[snippetId], parsed.snippets[snippetId])
+            : parsed.snippets[snippetId];
+        });
+
+        const count = Object.keys(toImport).length;
+        if (count === 0) {
+          this.showStatus('Nothing selected to import', 'info');
+          return;
+        }
+
+        try {
+          await this.snippetManager.storage.importSnippets(toImport);
+          this.showStatus(`Imported ${count} snippet${count !== 1 ? 's' : ''}`, 'success');
+          this.updateSnippetsList();
+          this.snippetManager.renderAllSnippets();
+          modal.remove();
+        } catch (error) {
+          this.showStatus('Import failed: ' + error.message, 'error');
+        }
+      });
+    }
+
+    // Three-way merge view: the version both sides started from, ours and the remote copy
+    showConflicts() {
+      const conflicts = Object.values(this.snippetManager.storage.conflicts);
+      if (conflicts.length === 0) return;
+
+      document.getElementById('global-snippets-conflicts')?.remove();
+
+      const modal = document.createElement('div');
+      modal.id = 'global-snippets-conflicts';
+      modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0,0,0,0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1000000;
+      `;
 
-          <button class="btn btn-secondary" id="close-modal">Close</button>
+      const renderSide = (title, snippet, html) => `
+        <div style="flex: 1; min-width: 0;">
+          <div class="version-history-title">${title}</div>
+          <div class="snippet-item-meta" style="margin-bottom: 4px;">${Utils.escapeHtml(snippet)}</div>
+          <pre style="margin: 0; padding: 8px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 11px; max-height: 200px; overflow: auto; white-space: pre-wrap; word-break: break-word;">${html === null ? '<em>(deleted)</em>' : Utils.escapeHtml(html)}</pre>
         </div>
       `;
 
-      document.body.appendChild(modal);
+      const describe = (snippet) => {
+        const version = snippet && snippet.versions[snippet.currentVersion];
+        return version ? `v${version.version} · ${Utils.formatDate(version.timestamp)}` : 'Deleted';
+      };
 
-      // Export
-      document.getElementById('export-btn').addEventListener('click', async () => {
-        const snippets = await this.snippetManager.storage.getAllSnippets();
-        const exportData = JSON.stringify(snippets, null, 2);
-        document.getElementById('export-data').value = exportData;
-        document.getElementById('export-output').style.display = 'block';
-      });
+      modal.innerHTML = `
+        <div style="background: white; padding: 30px; border-radius: 12px; max-width: 960px; width: 95%; max-height: 90vh; overflow-y: auto;">
+          <h3 style="margin: 0 0 8px 0; font-size: 18px;">⚠️ Resolve Conflicts</h3>
+          <p style="margin: 0 0 20px 0; font-size: 13px; color: #6b7280;">
+            These snippets were changed by someone else while you were editing them. Choose which copy to keep.
+          </p>
+          ${conflicts.map(({ snippetId, base, mine, theirs }) => `
+            <div class="snippet-item" data-conflict="${Utils.escapeHtml(snippetId)}">
+              <div class="snippet-item-header">
+                <div class="snippet-item-id">${Utils.escapeHtml(snippetId)}</div>
+              </div>
+              <div style="display: flex; gap: 10px;">
+                ${renderSide('Base', base ? `v${base.version} · ${Utils.formatDate(base.timestamp)}` : 'Unknown', base ? base.html : '')}
+                ${renderSide('Yours', describe(mine), StorageManager.currentHtml(mine))}
+                ${renderSide('Remote', describe(theirs), StorageManager.currentHtml(theirs))}
+              </div>
+              <div class="snippet-item-actions">
+                <button class="snippet-item-btn view" data-resolve="mine">Keep Mine</button>
+                <button class="snippet-item-btn view" data-resolve="theirs">Keep Remote</button>
+                <button class="snippet-item-btn view" data-resolve="both">Keep Both</button>
+              </div>
+            </div>
+          `).join('')}
+          <button class="btn btn-secondary" id="close-conflicts" style="margin-top: 12px;">Decide Later</button>
+        </div>
+      `;
 
-      document.getElementById('copy-export').addEventListener('click', () => {
-        const textarea = document.getElementById('export-data');
-        textarea.select();
-        document.execCommand('copy');
-        this.showStatus('Copied to clipboard!', 'success');
-      });
+      document.body.appendChild(modal);
 
-      // Import
-      document.getElementById('import-btn').addEventListener('click', async () => {
-        const importData = document.getElementById('import-data').value;
-        
-        try {
-          const snippets = JSON.parse(importData);
-          
-          if (!confirm('This will merge imported snippets with existing ones. Continue?')) {
-            return;
+      modal.querySelectorAll('[data-resolve]').forEach(button => {
+        button.addEventListener('click', async () => {
+          const item = button.closest('[data-conflict]');
+          const snippetId = item.dataset.conflict;
+
+          try {
+            await this.snippetManager.storage.resolveConflict(snippetId, button.dataset.resolve);
+            item.remove();
+            this.showStatus(`Conflict resolved for "${snippetId}"`, 'success');
+            this.snippetManager.renderSnippet(snippetId);
+            this.updateSnippetsList();
+          } catch (error) {
+            this.showStatus('Failed to resolve conflict: ' + error.message, 'error');
           }
 
-          const currentSnippets = await this.snippetManager.storage.getAllSnippets();
-          const mergedSnippets = { ...currentSnippets, ...snippets };
-          
-          this.snippetManager.storage.cache = mergedSnippets;
-          this.snippetManager.storage.saveToLocalStorage(mergedSnippets);
-          await this.snippetManager.storage.saveToAPI(mergedSnippets);
-
-          this.showStatus('Import successful!', 'success');
-          this.updateSnippetsList();
-          modal.remove();
-        } catch (error) {
-          this.showStatus('Invalid import data: ' + error.message, 'error');
-        }
+          if (!modal.querySelector('[data-conflict]')) {
+            modal.remove();
+          }
+        });
       });
 
-      // Close
-      document.getElementById('close-modal').addEventListener('click', () => {
+      document.getElementById('close-conflicts').addEventListener('click', () => {
         modal.remove();
       });
 
@@ -1427,20 +6455,67 @@
             <li>The content will automatically sync!</li>
           </ol>
 
+          <h3>🧩 Template Variables</h3>
+          <p>Use placeholders such as <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">{{headline}}</code> in a snippet to vary its content per page:</p>
+          <ul style="line-height: 1.8;">
+            <li>Set default values with the Variables button in the Manage tab</li>
+            <li>Override a value on one container: <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">&lt;div data-global-snippet-id="cta-banner" data-var-headline="Book now"&gt;&lt;/div&gt;</code></li>
+            <li>Templated snippets are not auto-saved from the page, so the placeholders are kept</li>
+          </ul>
+
+          <h3>💤 Lazy Rendering</h3>
+          <p>Add <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">data-global-snippet-lazy</code> to containers far down the page, like a long footer, to render them only as visitors scroll near them. Optionally give it the height to reserve, e.g. <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">data-global-snippet-lazy="320px"</code>.</p>
+
+          <h3>🌳 Nested Snippets</h3>
+          <p>A snippet can include other snippets by containing their containers, for example a footer built from <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">&lt;div data-global-snippet-id="contact-block"&gt;&lt;/div&gt;</code>. Nesting is limited to ${CONFIG.maxNestingDepth} levels, and circular references show an inline warning instead of content. Use the Dependencies button in the Manage tab to see the tree.</p>
+
+          <h3>⚡ Scripts</h3>
+          <p>Scripts in a snippet (for example a booking widget from a code block) don't run by default. Turn on Run Scripts for that snippet in the Manage tab and they run in order on the live site, with each external script loaded once per page. Snippets running scripts are not auto-saved.</p>
+
           <h3>📝 Version History</h3>
           <p>Every time you save changes, a new version is created. You can:</p>
           <ul style="line-height: 1.8;">
             <li>View all versions in the Manage tab</li>
-            <li>Restore previous versions</li>
-            <li>Keep up to ${CONFIG.maxVersionHistory} versions per snippet</li>
+            <li>Compare any two versions as a source diff and side-by-side preview, or use Diff to see what changed since a version</li>
+            <li>Restore a previous version, which adds it back as a new version</li>
+            <li>Keep up to ${CONFIG.maxVersionHistory} versions per snippet, plus any you pin</li>
           </ul>
 
+          <h3>🚀 Drafts and Publishing</h3>
+          <p>Edits are saved as drafts: the editor shows them, but the live site keeps showing the published version. Use Publish in the Manage tab to put a snippet's draft live, Publish on any version in its history to put that one live instead, Unpublish to take it off the live site, or Publish All Drafts to launch several changes together.</p>
+
+          <h3>🎯 Targeting</h3>
+          <p>Use Targeting in the Manage tab to show a snippet only on some pages or to some visitors: by URL path (<code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">/blog/**</code>), query parameter, referrer, screen size, cookie, or first visit. Choose whether all or any of the rules must match, and whether to hide the container, keep its own content, or show another version when they don't. Rules apply to the live site only.</p>
+
+          <h3>🧪 A/B Tests</h3>
+          <p>Use A/B Test in the Manage tab to split visitors between two or more versions by weight. Each visitor keeps their variant, and an exposure event is sent to your analytics (and <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">dataLayer</code>) when they see it. Force previews a variant in your browser; Promote publishes the winner and ends the test.</p>
+
+          <h3>🌐 Translations</h3>
+          <p>Instead of keeping <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">footer-en</code> and <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">footer-fr</code>, add translations to one snippet with Translations in the Manage tab. The live site picks one from <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">data-locale</code> on the container, the URL prefix (<code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">/fr/...</code>) or the page language. The Manage tab lists the locales each snippet is missing.</p>
+
+          <h3>🗓️ Scheduling</h3>
+          <p>Use Schedule on a version to show it on the live site between two times, for example a sale banner for a weekend. Outside its window the published version is shown again; an expiry on the published version takes the snippet down. Upcoming switches are listed at the top of the Manage tab.</p>
+
+          <h3>🏷️ Finding Snippets</h3>
+          <p>Search the Manage tab by id, tag, folder or content, including older versions. Sort by name, last update or number of versions, and use Tags &amp; Folder on a snippet to group and label it. Click a tag to show only snippets with that tag.</p>
+
+          <h3>📍 Where Used</h3>
+          <p>Scan Site in the Manage tab reads every page in the sitemap and shows how many pages use each snippet, including pages where it is nested in another snippet. Deleting a snippet lists the pages that use it. Scan again after adding snippets to pages.</p>
+
+          <h3>🧩 Missing Snippets</h3>
+          <p>In the editor, a container whose snippet doesn't exist shows a placeholder where you can create the snippet or pick an existing one. Cleanup in the Manage tab lists snippets no page uses, to delete in bulk, and containers pointing at missing snippets, which you can create or point at an existing snippet.</p>
+
+          <h3>📦 Import / Export</h3>
+          <p>Export downloads every snippet with its history. Importing shows a preview first: each snippet is checked and marked New, Identical, Older, Newer or Conflicting, and you choose whether to merge, overwrite or skip it. Merging keeps the versions from both sides. Download .zip gives one folder per snippet, for keeping snippets in git; the zip imports the same way.</p>
+
           <h3>💾 Data Storage</h3>
           <p>Your global snippets are stored in:</p>
           <ul style="line-height: 1.8;">
-            <li>Browser localStorage (instant access)</li>
+            <li>Browser IndexedDB, or localStorage where IndexedDB is unavailable (instant access)</li>
             <li>Squarespace API (synced across devices)</li>
           </ul>
+          <p>Changes are saved locally first. If the API can't be reached they wait in a queue that survives reloads and is sent when you're back online; the bar under the tabs shows what's pending and when the last sync succeeded.</p>
+          <p>Both can be swapped for other storage adapters through <code style="background: #f3f4f6; padding: 2px 6px; border-radius: 4px;">window.globalSnippetsConfig</code>; see the README.</p>
 
           <h3>🔗 GitHub Repository</h3>
           <p>For updates, documentation, and support:</p>
@@ -1487,7 +6562,7 @@
       };
 
       statusEl.className = `status-message ${type}`;
-      statusEl.innerHTML = `${icons[type]} ${message}`;
+      statusEl.innerHTML = `${icons[type]} ${Utils.escapeHtml(message)}`;
 
       setTimeout(() => {
         statusEl.className = '';
@@ -1502,9 +6577,16 @@
       try {
         const snippets = await this.snippetManager.storage.getAllSnippets();
         const dataSize = new Blob([JSON.stringify(snippets)]).size;
-        const sizeKB = (dataSize / 1024).toFixed(2);
+        const estimate = await this.snippetManager.storage.estimate();
         
-        infoEl.textContent = `${sizeKB} KB · ${Object.keys(snippets).length} snippets`;
+        let text = `${Utils.formatBytes(dataSize)} · ${Object.keys(snippets).length} snippets`;
+        if (estimate.usage !== undefined && estimate.quota) {
+          const percent = ((estimate.usage / estimate.quota) * 100).toFixed(1);
+          text += ` · ${estimate.backend} · all site data in this browser: ${Utils.formatBytes(estimate.usage)} of ${Utils.formatBytes(estimate.quota)} (${percent}%)`;
+        } else {
+          text += ` · ${estimate.backend}`;
+        }
+        infoEl.textContent = text;
       } catch (e) {
         infoEl.textContent = 'Error loading info';
       }
@@ -1513,7 +6595,7 @@
     markExistingSnippets() {
       this.snippetManager.storage.getAllSnippets().then(snippets => {
         Object.keys(snippets).forEach(snippetId => {
-          const elements = document.querySelectorAll(`[${CONFIG.snippetAttribute}="${snippetId}"]`);
+          const elements = document.querySelectorAll(Utils.attributeSelector(CONFIG.snippetAttribute, snippetId));
           Utils.log(`Found ${elements.length} instances of snippet: ${snippetId}`);
         });
       });
@@ -1578,7 +6660,34 @@
       this.storage = new StorageManager();
       this.ui = null;
       this.isEditor = window.location !== window.parent.location;
+      if (this.isEditor) {
+        this.storage.startSync();
+      }
       this.autoSaveTimeout = null;
+      this.renderedHtml = new WeakMap();
+      // Container content from the page itself, for the 'keep' targeting fallback
+      this.originalContent = new WeakMap();
+      this.hiddenByTargeting = new WeakSet();
+      this.mediaWatchers = new Set();
+      this.scheduleTimer = null;
+      // Lazy containers waiting to scroll into view, and their min-height before the placeholder
+      this.lazyObserver = null;
+      this.lazyPending = new WeakSet();
+      this.lazyPlaceholders = new WeakMap();
+
+      // Another tab saved, or revalidation found newer copies: re-render just those snippets
+      this.storage.onExternalChange = (snippetIds, source) => this.refreshSnippets(snippetIds, source);
+    }
+
+    // Deleted ids are rendered too, so their containers don't keep stale content
+    refreshSnippets(snippetIds, source = 'tab') {
+      snippetIds.forEach(snippetId => this.renderSnippet(snippetId));
+
+      if (this.ui) {
+        this.ui.handleExternalChange(snippetIds, source);
+      } else {
+        this.watchSchedule();
+      }
     }
 
     async init() {
@@ -1610,6 +6719,7 @@
       } else {
         // Also observe for new snippets on live site
         this.observeNewSnippets();
+        this.watchSchedule();
         Utils.log('Live site mode initialized');
       }
     }
@@ -1629,7 +6739,11 @@
     async renderAllSnippets() {
       Utils.log('Rendering all snippets...');
       const snippets = await this.storage.getAllSnippets();
-      
+
+      if (this.isEditor) {
+        this.renderMissingSnippets(snippets);
+      }
+
       if (!snippets || Object.keys(snippets).length === 0) {
         Utils.log('No snippets found in storage');
         return;
@@ -1646,20 +6760,15 @@
       const snippets = await this.storage.getAllSnippets();
       const snippetData = snippets[snippetId];
       
-      if (!snippetData) {
+      // On the live site renderContainer takes down what a deleted snippet left
+      if (!snippetData && this.isEditor) {
         Utils.error(`Snippet not found: ${snippetId}`);
-        return;
-      }
-
-      const currentVersion = snippetData.versions[snippetData.currentVersion];
-      
-      if (!currentVersion) {
-        Utils.error(`No version data for snippet: ${snippetId}`);
+        this.renderMissingSnippets(snippets);
         return;
       }
 
       // Find all elements with this snippet ID
-      const elements = document.querySelectorAll(`[${CONFIG.snippetAttribute}="${snippetId}"]`);
+      const elements = document.querySelectorAll(Utils.attributeSelector(CONFIG.snippetAttribute, snippetId));
       
       if (elements.length === 0) {
         Utils.log(`No elements found with snippet ID: ${snippetId}`);
@@ -1667,17 +6776,458 @@
       }
 
       elements.forEach(element => {
-        // Only update if content is different or empty
-        if (element.innerHTML.trim() !== currentVersion.html.trim()) {
-          element.innerHTML = currentVersion.html;
-          element.setAttribute(CONFIG.snippetVersionAttribute, currentVersion.version);
-          Utils.log(`✓ Rendered snippet: ${snippetId} v${currentVersion.version} into element`);
+        if (this.isDeferred(element)) {
+          this.deferContainer(element);
+        } else {
+          this.renderContainer(element, snippets);
         }
       });
 
       Utils.log(`Rendered snippet "${snippetId}" into ${elements.length} element(s)`);
     }
 
+    // Lazy containers on the live site wait until they come near the viewport,
+    // unless they're already on screen. Once rendered they update like any other.
+    isDeferred(element) {
+      if (this.isEditor || !element.hasAttribute(CONFIG.lazyAttribute) || this.renderedHtml.has(element)) {
+        return false;
+      }
+      if (this.lazyPending.has(element)) {
+        return true;
+      }
+      if (!('IntersectionObserver' in window)) {
+        return false;
+      }
+
+      const rect = element.getBoundingClientRect();
+      return rect.top >= window.innerHeight || rect.bottom < 0;
+    }
+
+    deferContainer(element) {
+      if (this.lazyPending.has(element)) return;
+      this.lazyPending.add(element);
+
+      // Reserve space so the page doesn't jump when the snippet arrives
+      if (!element.innerHTML.trim()) {
+        this.lazyPlaceholders.set(element, element.style.minHeight);
+        element.style.minHeight = element.getAttribute(CONFIG.lazyAttribute) || CONFIG.lazyPlaceholderHeight;
+      }
+
+      if (!this.lazyObserver) {
+        this.lazyObserver = new IntersectionObserver(entries => {
+          entries.filter(entry => entry.isIntersecting).forEach(entry => this.renderDeferred(entry.target));
+        }, { rootMargin: CONFIG.lazyRootMargin });
+      }
+      this.lazyObserver.observe(element);
+    }
+
+    async renderDeferred(element) {
+      this.lazyObserver.unobserve(element);
+      this.lazyPending.delete(element);
+
+      const snippets = await this.storage.getAllSnippets();
+      this.renderContainer(element, snippets);
+
+      if (this.lazyPlaceholders.has(element)) {
+        element.style.minHeight = this.lazyPlaceholders.get(element);
+        this.lazyPlaceholders.delete(element);
+      }
+    }
+
+    // Render one container, then expand any snippet containers inside the injected HTML
+    renderContainer(element, snippets) {
+      const snippetId = element.getAttribute(CONFIG.snippetAttribute);
+      const ancestors = this.getSnippetAncestors(element);
+
+      if (ancestors.includes(snippetId)) {
+        this.renderErrorMarker(element, `Circular reference: ${[...ancestors, snippetId].join(' → ')}`);
+        return;
+      }
+
+      if (ancestors.length >= CONFIG.maxNestingDepth) {
+        this.renderErrorMarker(element, `Nesting too deep (max ${CONFIG.maxNestingDepth}): ${[...ancestors, snippetId].join(' → ')}`);
+        return;
+      }
+
+      const snippetData = snippets[snippetId];
+      let version = this.getRenderVersion(snippetData, snippetId);
+
+      if (!this.originalContent.has(element) && !this.renderedHtml.has(element)) {
+        this.originalContent.set(element, element.innerHTML);
+      }
+
+      if (!version) {
+        if (!snippetData) {
+          Utils.error(`Snippet not found: ${snippetId}`);
+          if (this.isEditor) {
+            this.renderMissingPlaceholder(element, snippetId, snippets);
+            return;
+          }
+        } else {
+          Utils.log(`Snippet not published: ${snippetId}`);
+        }
+        // Deleted, unpublished or expired since we rendered it: take the content down
+        if (this.renderedHtml.has(element)) {
+          element.innerHTML = '';
+          element.removeAttribute(CONFIG.snippetVersionAttribute);
+          this.renderedHtml.delete(element);
+        }
+        return;
+      }
+
+      // Targeting only applies on the live site; the editor always shows the snippet
+      const targeting = snippetData.targeting;
+      if (!this.isEditor && targeting) {
+        Targeting.mediaQueries(targeting).forEach(query => this.watchMedia(query));
+
+        if (!Targeting.matches(targeting)) {
+          const alternate = targeting.fallback === 'version'
+            ? snippetData.versions.find(v => v.id === targeting.fallbackVersion)
+            : null;
+
+          if (!alternate) {
+            Utils.log(`Targeting rules don't match, using fallback "${targeting.fallback || 'hide'}": ${snippetId}`);
+            this.applyFallback(element, targeting.fallback === 'keep' ? 'keep' : 'hide');
+            return;
+          }
+          version = alternate;
+        }
+      }
+
+      if (this.hiddenByTargeting.has(element)) {
+        element.hidden = false;
+        this.hiddenByTargeting.delete(element);
+      }
+
+      // The editor keeps to the main content so auto-save never mixes languages
+      const translation = this.isEditor ? null : Localization.resolve(snippetData, element, version);
+
+      // Fill {{placeholders}} from the snippet defaults and this container's data-var-* attributes,
+      // then clean the result against the sanitizer policy
+      const html = this.sanitizeSnippetHtml(snippetData, Utils.renderTemplate(translation ? translation.html : version.html, {
+        ...snippetData.variables,
+        ...this.getElementVariables(element)
+      }));
+
+      // Only update if content is different or empty. Expanded children make
+      // innerHTML differ from the source, so also compare with what we injected last.
+      const changed = this.renderedHtml.get(element) !== html && element.innerHTML.trim() !== html.trim();
+      if (changed) {
+        element.innerHTML = html;
+        element.setAttribute(CONFIG.snippetVersionAttribute, version.version);
+        if (translation) {
+          element.setAttribute(CONFIG.snippetLocaleAttribute, translation.locale);
+        } else {
+          element.removeAttribute(CONFIG.snippetLocaleAttribute);
+        }
+        Utils.log(`✓ Rendered snippet: ${snippetId} v${version.version} into element`);
+
+        if (this.runsScripts(snippetData)) {
+          ScriptRunner.run(element).catch(e => Utils.error(`Failed to run scripts for ${snippetId}`, e));
+        }
+      }
+      this.renderedHtml.set(element, html);
+
+      this.getNestedContainers(element).forEach(child => this.renderContainer(child, snippets));
+
+      // After the nested snippets, so listeners see the finished content
+      if (changed) {
+        Events.emit('rendered', {
+          snippetId,
+          version: version.version,
+          versionId: version.id,
+          locale: translation ? translation.locale : null
+        }, element);
+      }
+
+      // A translation shows the published content, not the variant, so it isn't an exposure
+      if (!this.isEditor && snippetData.experiment && !translation) {
+        const variant = Experiments.variantFor(snippetId, snippetData);
+        if (variant && !variant.forced && variant.version === version) {
+          Experiments.reportExposure(snippetId, snippetData, version);
+        }
+      }
+    }
+
+    // 'keep' puts back what the container held before any snippet was rendered; 'hide' hides it
+    applyFallback(element, fallback) {
+      if (this.renderedHtml.has(element)) {
+        element.innerHTML = this.originalContent.get(element) || '';
+        element.removeAttribute(CONFIG.snippetVersionAttribute);
+        this.renderedHtml.delete(element);
+      }
+
+      if (fallback === 'hide' && !element.hidden) {
+        element.hidden = true;
+        this.hiddenByTargeting.add(element);
+      } else if (fallback === 'keep' && this.hiddenByTargeting.has(element)) {
+        element.hidden = false;
+        this.hiddenByTargeting.delete(element);
+      }
+    }
+
+    // Re-render when a media query used by targeting rules starts or stops matching
+    watchMedia(query) {
+      if (this.mediaWatchers.has(query) || !window.matchMedia) return;
+
+      this.mediaWatchers.add(query);
+      const list = window.matchMedia(query);
+      const onChange = () => this.renderAllSnippets();
+      if (list.addEventListener) {
+        list.addEventListener('change', onChange);
+      } else {
+        list.addListener(onChange);
+      }
+    }
+
+    // The editor previews drafts; the live site shows the visitor's experiment
+    // variant, or else the published or scheduled version. Snippets with
+    // nothing live don't run their experiment either.
+    getRenderVersion(snippetData, snippetId) {
+      if (!snippetData) return null;
+      if (this.isEditor) {
+        return snippetData.versions[snippetData.currentVersion] || null;
+      }
+
+      const active = StorageManager.activeVersion(snippetData);
+      const variant = active && Experiments.variantFor(snippetId, snippetData);
+      return variant ? variant.version : active;
+    }
+
+    // Re-render the live site when the next scheduled version starts or ends
+    async watchSchedule() {
+      clearTimeout(this.scheduleTimer);
+
+      const snippets = await this.storage.getAllSnippets();
+      const next = Object.values(snippets)
+        .map(snippet => StorageManager.scheduleChanges(snippet))
+        .filter(changes => changes.length > 0)
+        .map(changes => changes[0].time)
+        .sort((a, b) => a - b)[0];
+
+      if (next === undefined) return;
+
+      // setTimeout can't wait longer than about 24.8 days; check again then
+      const delay = Math.min(Math.max(next - Date.now() + 50, 0), 2147483647);
+      this.scheduleTimer = setTimeout(() => {
+        this.renderAllSnippets();
+        this.watchSchedule();
+      }, delay);
+    }
+
+    // Containers show the sanitized render, so compare with that too, or
+    // markup the sanitizer stripped would be saved as an edit
+    matchesStored(snippetData, html) {
+      const current = StorageManager.currentHtml(snippetData);
+      if (current === null) return false;
+      return current.trim() === html.trim() ||
+        this.sanitizeSnippetHtml(snippetData, current).trim() === html.trim();
+    }
+
+    // Whether the render drops more than comments from the stored HTML, such
+    // as on* handlers or tags outside the policy. Saving an edited container
+    // would write the cleaned render over that markup.
+    hidesMarkup(snippetData) {
+      const current = StorageManager.currentHtml(snippetData);
+      if (current === null) return false;
+      const parsed = Sanitizer.sanitize(current, { allowedTags: '*', allowedAttributes: { '*': '*' } });
+      return this.sanitizeSnippetHtml(snippetData, parsed) !== parsed;
+    }
+
+    sanitizeSnippetHtml(snippetData, html) {
+      const policy = snippetData.runScripts ? Sanitizer.allowScripts(CONFIG.sanitizer) : CONFIG.sanitizer;
+      return Sanitizer.sanitize(html, policy);
+    }
+
+    // Opted-in snippets run their scripts on the live site, and in the editor only if configured
+    runsScripts(snippetData) {
+      return !!(snippetData && snippetData.runScripts) && (!this.isEditor || CONFIG.runScriptsInEditor);
+    }
+
+    renderErrorMarker(element, message) {
+      Utils.error(message);
+
+      const markerHtml = `<div class="global-snippet-error" style="padding: 8px 12px; border: 1px dashed #ef4444; background: #fef2f2; color: #991b1b; font-size: 12px; font-family: monospace;">⚠️ ${Utils.escapeHtml(message)}</div>`;
+      if (this.renderedHtml.get(element) !== markerHtml) {
+        element.innerHTML = markerHtml;
+        element.removeAttribute(CONFIG.snippetVersionAttribute);
+        this.renderedHtml.set(element, markerHtml);
+      }
+    }
+
+    // Top-level containers whose snippet doesn't exist; nested ones are
+    // handled by renderContainer when their parent renders
+    renderMissingSnippets(snippets) {
+      document.querySelectorAll(`[${CONFIG.snippetAttribute}]`).forEach(element => {
+        const snippetId = element.getAttribute(CONFIG.snippetAttribute);
+        const parent = element.parentElement && element.parentElement.closest(`[${CONFIG.snippetAttribute}]`);
+        if (!snippets[snippetId] && !parent) {
+          this.renderMissingPlaceholder(element, snippetId, snippets);
+        }
+      });
+    }
+
+    // Editor only: shows the gap and offers to create the snippet or use another one.
+    // Auto-save and Sync All leave containers showing this alone.
+    renderMissingPlaceholder(element, snippetId, snippets) {
+      if (this.hasMissingPlaceholder(element)) return;
+
+      if (!this.originalContent.has(element)) {
+        this.originalContent.set(element, element.innerHTML);
+      }
+
+      const existingIds = Object.keys(snippets).sort();
+      element.innerHTML = `
+        <div class="global-snippet-missing" style="padding: 12px; border: 2px dashed #f59e0b; background: #fffbeb; color: #92400e; font-size: 13px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;">
+          🧩 There is no global snippet "<code>${Utils.escapeHtml(snippetId)}</code>".
+          <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+            <button type="button" data-missing-action="create" style="padding: 4px 10px; cursor: pointer;">✨ Create it</button>
+            ${existingIds.length ? `
+              <select data-missing-action="pick" style="padding: 4px;">
+                <option value="">Use an existing snippet…</option>
+                ${existingIds.map(id => `<option value="${Utils.escapeHtml(id)}">${Utils.escapeHtml(id)}</option>`).join('')}
+              </select>
+            ` : ''}
+          </div>
+        </div>
+      `;
+      element.removeAttribute(CONFIG.snippetVersionAttribute);
+      this.renderedHtml.set(element, element.innerHTML);
+
+      element.querySelector('[data-missing-action="create"]').addEventListener('click', () => {
+        this.createMissingSnippet(element, snippetId);
+      });
+      element.querySelector('[data-missing-action="pick"]')?.addEventListener('change', (e) => {
+        if (e.target.value) this.useExistingSnippet(snippetId, e.target.value);
+      });
+    }
+
+    // Starts from what the container held before the placeholder, if anything
+    async createMissingSnippet(element, snippetId) {
+      const original = (this.originalContent.get(element) || '').trim();
+      try {
+        await this.storage.saveSnippet(snippetId, {
+          html: original || `<p>${Utils.escapeHtml(snippetId)}</p>`,
+          author: 'current-user'
+        });
+        await this.renderSnippet(snippetId);
+        if (this.ui) {
+          this.ui.showStatus(`Snippet "${snippetId}" created as a draft`, 'success');
+          this.ui.updateSnippetsList();
+        }
+      } catch (error) {
+        Utils.error('Create snippet error', error);
+        this.ui?.showStatus('Failed to create snippet: ' + error.message, 'error');
+      }
+    }
+
+    // Creates the missing snippet as an alias of the chosen one, so the page
+    // itself keeps its container id and doesn't need editing
+    async useExistingSnippet(missingId, targetId) {
+      try {
+        await this.storage.saveSnippet(missingId, {
+          html: this.aliasHtml(targetId),
+          author: 'current-user'
+        });
+        await this.renderSnippet(missingId);
+        if (this.ui) {
+          this.ui.showStatus(`Snippet "${missingId}" created as a draft showing "${targetId}"`, 'success');
+          this.ui.updateSnippetsList();
+        }
+      } catch (error) {
+        Utils.error('Create snippet error', error);
+        this.ui?.showStatus('Failed to create snippet: ' + error.message, 'error');
+      }
+    }
+
+    // Content of a snippet that only shows another one
+    aliasHtml(snippetId) {
+      return `<div ${CONFIG.snippetAttribute}="${Utils.escapeHtml(snippetId)}"></div>`;
+    }
+
+    hasMissingPlaceholder(element) {
+      return !!element.querySelector(':scope > .global-snippet-missing');
+    }
+
+    // Snippet ids of the containers wrapping this one, outermost first
+    getSnippetAncestors(element) {
+      const ancestors = [];
+      let parent = element.parentElement && element.parentElement.closest(`[${CONFIG.snippetAttribute}]`);
+
+      while (parent) {
+        ancestors.unshift(parent.getAttribute(CONFIG.snippetAttribute));
+        parent = parent.parentElement && parent.parentElement.closest(`[${CONFIG.snippetAttribute}]`);
+      }
+
+      return ancestors;
+    }
+
+    // Containers directly inside this one (not inside a deeper container)
+    getNestedContainers(element) {
+      return Array.from(element.querySelectorAll(`[${CONFIG.snippetAttribute}]`))
+        .filter(child => child.parentElement.closest(`[${CONFIG.snippetAttribute}]`) === element);
+    }
+
+    // The container's HTML with nested snippets collapsed back to empty containers,
+    // so expanded children are never saved into the parent snippet
+    getSourceHtml(element) {
+      const clone = element.cloneNode(true);
+      clone.querySelectorAll(`[${CONFIG.snippetAttribute}]`).forEach(child => {
+        child.innerHTML = '';
+        child.removeAttribute(CONFIG.snippetVersionAttribute);
+      });
+      return clone.innerHTML;
+    }
+
+    // Snippet ids referenced by containers in a piece of snippet HTML
+    getSnippetDependencies(html) {
+      const template = document.createElement('template');
+      template.innerHTML = html || '';
+      const ids = Array.from(template.content.querySelectorAll(`[${CONFIG.snippetAttribute}]`))
+        .map(child => child.getAttribute(CONFIG.snippetAttribute));
+      return Array.from(new Set(ids));
+    }
+
+    // Dependency tree for the Manage tab, flagging cycles, missing snippets and depth overruns
+    buildDependencyTree(snippetId, snippets, path = []) {
+      const node = { id: snippetId, children: [] };
+      const snippetData = snippets[snippetId];
+      const currentVersion = snippetData && snippetData.versions[snippetData.currentVersion];
+
+      if (path.includes(snippetId)) {
+        node.cycle = true;
+      } else if (path.length >= CONFIG.maxNestingDepth) {
+        node.tooDeep = true;
+      } else if (!currentVersion) {
+        node.missing = true;
+      } else {
+        node.children = this.getSnippetDependencies(currentVersion.html)
+          .map(childId => this.buildDependencyTree(childId, snippets, [...path, snippetId]));
+      }
+
+      return node;
+    }
+
+    // Collect per-instance values from data-var-* attributes on a container
+    getElementVariables(element) {
+      const variables = {};
+      Array.from(element.attributes).forEach(attr => {
+        if (attr.name.startsWith(CONFIG.variableAttributePrefix)) {
+          variables[attr.name.slice(CONFIG.variableAttributePrefix.length)] = attr.value;
+        }
+      });
+      return variables;
+    }
+
+    // Templated snippets hold rendered values in the page, so saving the
+    // container's innerHTML would overwrite the {{placeholders}}
+    async isTemplatedSnippet(snippetId) {
+      const snippets = await this.storage.getAllSnippets();
+      const snippetData = snippets[snippetId];
+      const currentVersion = snippetData && snippetData.versions[snippetData.currentVersion];
+      return !!currentVersion && Utils.extractTemplateVariables(currentVersion.html).length > 0;
+    }
+
     // Watch for new snippet containers being added to the DOM
     observeNewSnippets() {
       const observer = new MutationObserver((mutations) => {
@@ -1685,7 +7235,7 @@
           mutation.addedNodes.forEach(node => {
             if (node.nodeType === 1) { // Element node
               // Check if the added node itself has the snippet attribute
-              if (node.hasAttribute && node.hasAttribute(CONFIG.snippetAttribute)) {
+              if (node.hasAttribute && node.hasAttribute(CONFIG.snippetAttribute) && !this.renderedHtml.has(node)) {
                 const snippetId = node.getAttribute(CONFIG.snippetAttribute);
                 Utils.log(`🔄 New snippet container detected: ${snippetId}`);
                 setTimeout(() => this.renderSnippet(snippetId), 100);
@@ -1695,6 +7245,9 @@
               if (node.querySelectorAll) {
                 const snippetElements = node.querySelectorAll(`[${CONFIG.snippetAttribute}]`);
                 snippetElements.forEach(element => {
+                  // Nested containers are expanded by renderContainer as part of their parent
+                  if (this.renderedHtml.has(element)) return;
+
                   const snippetId = element.getAttribute(CONFIG.snippetAttribute);
                   Utils.log(`🔄 New snippet container detected in children: ${snippetId}`);
                   setTimeout(() => this.renderSnippet(snippetId), 100);
@@ -1717,8 +7270,38 @@
     setupAutoSave() {
       const debouncedSave = Utils.debounce(async (snippetId, element) => {
         try {
+          if (this.hasMissingPlaceholder(element)) return;
+
+          if (await this.isTemplatedSnippet(snippetId)) {
+            Utils.log(`Skipped auto-save for templated snippet: ${snippetId}`);
+            return;
+          }
+
+          // Expanding nested snippets mutates the parent too; only save real edits
+          const html = this.getSourceHtml(element);
+          const snippets = await this.storage.getAllSnippets();
+          const snippetData = snippets[snippetId];
+
+          // Markup written by the snippet's own scripts is not an edit
+          if (this.runsScripts(snippetData)) {
+            Utils.log(`Skipped auto-save for snippet running scripts: ${snippetId}`);
+            return;
+          }
+
+          if (this.matchesStored(snippetData, html)) {
+            return;
+          }
+
+          if (this.hidesMarkup(snippetData)) {
+            Utils.log(`Skipped auto-save for snippet with markup the sanitizer hides: ${snippetId}`);
+            if (this.ui) {
+              this.ui.showStatus(`"${snippetId}" holds markup the page doesn't show, so edits here aren't saved`, 'error');
+            }
+            return;
+          }
+
           await this.storage.saveSnippet(snippetId, {
-            html: element.innerHTML,
+            html,
             author: 'auto-save'
           });
           Utils.log(`Auto-saved: ${snippetId}`);
@@ -1753,16 +7336,114 @@
     }
   }
 
+  // The supported API for site scripts (window.GlobalSnippets). Everything it
+  // returns is a copy, so callers can't change stored snippets by accident.
+  function createPublicApi(manager, ready) {
+    const storage = manager.storage;
+    const copy = value => JSON.parse(JSON.stringify(value));
+    // version is a version number or id
+    const findVersionId = async (snippetId, version) => {
+      const snippets = await storage.getAllSnippets();
+      const snippet = snippets[snippetId];
+      if (!snippet) {
+        throw new Error('Snippet not found');
+      }
+
+      const index = typeof version === 'number'
+        ? StorageManager.findVersionIndex(snippet, version)
+        : snippet.versions.findIndex(entry => entry.id === version);
+      if (index === -1) {
+        throw new Error('Version not found');
+      }
+      return snippet.versions[index].id;
+    };
+    const summarize = (snippetId, snippet) => {
+      const current = snippet.versions[snippet.currentVersion];
+      const published = StorageManager.publishedEntry(snippet);
+      return {
+        id: snippetId,
+        version: current ? current.version : null,
+        publishedVersion: published ? published.version : null,
+        updatedAt: current ? current.timestamp : null
+      };
+    };
+
+    return Object.freeze({
+      version: CONFIG.version,
+      ready,
+
+      async get(snippetId) {
+        const snippets = await storage.getAllSnippets();
+        return snippets[snippetId] ? copy(snippets[snippetId]) : null;
+      },
+
+      async list() {
+        const snippets = await storage.getAllSnippets();
+        return Object.keys(snippets).sort().map(snippetId => summarize(snippetId, snippets[snippetId]));
+      },
+
+      // Check the remote copy now instead of waiting for cacheTtl; resolves to the changed ids
+      refresh() {
+        return storage.refresh();
+      },
+
+      // One snippet, or every snippet on the page
+      render(snippetId) {
+        return snippetId ? manager.renderSnippet(snippetId) : manager.renderAllSnippets();
+      },
+
+      // Saves html as a new version; with publish it also goes live
+      async save(snippetId, html, { author = 'api', publish = false } = {}) {
+        let version = await storage.saveSnippet(snippetId, { html, author });
+        if (publish) {
+          version = await storage.publish(snippetId, version.id);
+        }
+        await manager.renderSnippet(snippetId);
+        return copy(version);
+      },
+
+      // version is a version number or id; it comes back as a new version
+      async restore(snippetId, version, { author = 'api' } = {}) {
+        const restored = await storage.restoreVersion(snippetId, await findVersionId(snippetId, version), author);
+        await manager.renderSnippet(snippetId);
+        return copy(restored);
+      },
+
+      // Removes one version from the history; the current, published and
+      // pinned versions, and those in an A/B test, can't be deleted
+      async deleteVersion(snippetId, version) {
+        await storage.deleteVersion(snippetId, await findVersionId(snippetId, version));
+      },
+
+      // type is one of Events.types or '*' for all; returns a function that unsubscribes
+      subscribe(type, handler) {
+        const types = type === '*' ? Events.types : [type];
+        if (!types.every(name => Events.types.includes(name))) {
+          throw new Error(`Unknown event: ${type}`);
+        }
+
+        const listener = event => handler(event.detail, event);
+        types.forEach(name => document.addEventListener(Events.prefix + name, listener));
+        return () => types.forEach(name => document.removeEventListener(Events.prefix + name, listener));
+      }
+    });
+  }
+
   // Initialize
   function initGlobalSnippets() {
     const manager = new SnippetManager();
-    manager.init().catch(error => {
+    const ready = manager.init().catch(error => {
       Utils.error('Initialization failed', error);
     });
 
     // Make manager accessible globally for debugging
     window.globalSnippetsManager = manager;
     Utils.log('Global Snippets Manager available at window.globalSnippetsManager');
+
+    // The building blocks, for debugging and the checks in test/
+    window.globalSnippetsInternals = { Utils, Sanitizer, Zip, ImportExport, StorageManager, SnippetConflictError };
+
+    window.GlobalSnippets = createPublicApi(manager, ready);
   }
 
   // Start when DOM is ready
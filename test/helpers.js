@@ -0,0 +1,50 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'global-snippets.js'), 'utf8');
+
+// Runs global-snippets.js in a fresh page of its own. Snippets are kept in
+// memory, and remote is an adapter object standing in for the server.
+async function loadGlobalSnippets({ snippets = {}, remote = null, config = {} } = {}) {
+  const dom = new JSDOM('<!doctype html><html lang="en"><head></head><body></body></html>', {
+    url: 'https://example.com/',
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+
+  // Browsers have these, jsdom doesn't
+  window.TextEncoder = window.TextEncoder || TextEncoder;
+  window.TextDecoder = window.TextDecoder || TextDecoder;
+
+  window.globalSnippetsConfig = {
+    debugMode: false,
+    ...config,
+    storage: { local: 'memory', remote, options: { memory: { snippets } } }
+  };
+  window.eval(source);
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  }
+  await window.GlobalSnippets.ready;
+
+  return {
+    window,
+    ...window.globalSnippetsInternals,
+    storage: window.globalSnippetsManager.storage,
+    close: () => window.close()
+  };
+}
+
+// A version record as the storage keeps it
+function version(id, number, html, extra = {}) {
+  return { id, version: number, html, timestamp: '2025-01-01T00:00:00.000Z', author: 'test', ...extra };
+}
+
+// Objects made inside the page have the page's prototypes; this gives a
+// copy that deepStrictEqual can compare with objects made here
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadGlobalSnippets, version, plain };
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobalSnippets, version, plain } = require('./helpers');
+
+// Stands in for the server: every write is sent through put, which the test replaces
+function fakeRemote(records = {}) {
+  return {
+    records,
+    async get(id) {
+      return this.records[id] ? plain(this.records[id]) : null;
+    },
+    async put(id, snippet) {
+      this.records[id] = plain(snippet);
+      return { revision: `r${Date.now()}` };
+    },
+    async delete(id) {
+      delete this.records[id];
+    },
+    async list() {
+      return plain(this.records);
+    }
+  };
+}
+
+test('StorageManager.rebase', async t => {
+  const remote = fakeRemote();
+  const { StorageManager, SnippetConflictError, storage, close } = await loadGlobalSnippets({ remote });
+  t.after(close);
+
+  // The record as both sides last saw it
+  const base = () => ({
+    id: 'hero',
+    versions: [version('v1', 1, '<p>One</p>'), version('v2', 2, '<p>Two</p>')],
+    currentVersion: 1,
+    publishedVersion: 'v1',
+    revision: 'r1'
+  });
+  const synced = () => {
+    const snippet = base();
+    StorageManager.setSynced(snippet);
+    return snippet;
+  };
+  const withCurrent = (snippet, id, html) => {
+    snippet.versions.push(version(id, snippet.versions.length + 1, html));
+    snippet.currentVersion = snippet.versions.length - 1;
+    return snippet;
+  };
+
+  t.beforeEach(() => {
+    storage.conflicts = {};
+    storage.queue.clear();
+  });
+
+  await t.test('takes the remote copy when both sides already agree', async () => {
+    const mine = withCurrent(synced(), 'v3', '<p>Same</p>');
+    storage.cache.hero = mine;
+    const theirs = { ...plain(mine), revision: 'r2' };
+
+    assert.equal(await storage.rebase('hero', theirs), 'resolved');
+    assert.equal(storage.cache.hero.revision, 'r2');
+    assert.ok(StorageManager.unchangedSinceSync(storage.cache.hero));
+  });
+
+  await t.test('takes the remote copy when nothing changed here since the last sync', async () => {
+    storage.cache.hero = synced();
+    const theirs = { ...withCurrent(base(), 'v3', '<p>Theirs</p>'), revision: 'r2' };
+
+    assert.equal(await storage.rebase('hero', theirs), 'resolved');
+    assert.equal(StorageManager.currentHtml(storage.cache.hero), '<p>Theirs</p>');
+    assert.equal(storage.cache.hero.revision, 'r2');
+  });
+
+  await t.test('retries on top of the remote revision when only this side changed', async () => {
+    const mine = withCurrent(synced(), 'v3', '<p>Mine</p>');
+    storage.cache.hero = mine;
+    const theirs = { ...base(), revision: 'r2' };
+
+    assert.equal(await storage.rebase('hero', theirs), 'retry');
+    assert.equal(storage.cache.hero, mine);
+    assert.equal(mine.revision, 'r2');
+  });
+
+  await t.test('a change to the publish pointer alone is still a change', async () => {
+    const mine = synced();
+    mine.publishedVersion = 'v2';
+    storage.cache.hero = mine;
+    const theirs = { ...base(), revision: 'r2' };
+
+    assert.equal(await storage.rebase('hero', theirs), 'retry');
+    assert.equal(storage.cache.hero.publishedVersion, 'v2');
+  });
+
+  await t.test('leaves the choice to the editor when both sides changed', async () => {
+    const mine = withCurrent(synced(), 'v3', '<p>Mine</p>');
+    storage.cache.hero = mine;
+    const theirs = { ...withCurrent(base(), 'v4', '<p>Theirs</p>'), revision: 'r2' };
+
+    assert.equal(await storage.rebase('hero', theirs), 'conflict');
+    const conflict = storage.conflicts.hero;
+    assert.equal(conflict.base.id, 'v2');
+    assert.equal(conflict.mine, mine);
+    assert.equal(StorageManager.currentHtml(conflict.theirs), '<p>Theirs</p>');
+  });
+
+  await t.test('settles a delete the remote copy already went through', async () => {
+    delete storage.cache.hero;
+    assert.equal(await storage.rebase('hero', null), 'resolved');
+  });
+
+  await t.test('a conflicting write stays queued until it is resolved', async () => {
+    const mine = withCurrent(synced(), 'v3', '<p>Mine</p>');
+    storage.cache.hero = mine;
+    const theirs = { ...withCurrent(base(), 'v4', '<p>Theirs</p>'), revision: 'r2' };
+    remote.put = async id => {
+      throw new SnippetConflictError(id, plain(theirs));
+    };
+
+    storage.queue.add({ snippetId: 'hero' });
+    await storage.flushQueue();
+    assert.ok(storage.conflicts.hero);
+    assert.ok(storage.queue.has('hero'));
+
+    await storage.resolveConflict('hero', 'theirs');
+    assert.equal(storage.queue.has('hero'), false);
+    assert.equal(StorageManager.currentHtml(storage.cache.hero), '<p>Theirs</p>');
+  });
+
+  await t.test('an edit made while a write is in flight is not marked as synced', async () => {
+    const mine = synced();
+    storage.cache.hero = mine;
+    let release;
+    remote.put = () => new Promise(resolve => {
+      release = () => resolve({ revision: 'r2' });
+    });
+
+    const flushed = storage.pushRemote('hero');
+    withCurrent(mine, 'v3', '<p>Typed meanwhile</p>');
+    release();
+    await flushed;
+
+    assert.equal(mine.revision, 'r2');
+    assert.equal(mine.syncedVersion, 'v2');
+    assert.equal(StorageManager.unchangedSinceSync(mine), false);
+  });
+});
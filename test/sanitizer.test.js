@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobalSnippets } = require('./helpers');
+
+test('Sanitizer', async t => {
+  const { Sanitizer, close } = await loadGlobalSnippets();
+  t.after(close);
+
+  await t.test('strict mode strips event handlers and srcdoc', () => {
+    assert.equal(
+      Sanitizer.sanitize('<img src="a.png" onerror="alert(1)" ONLOAD="x()"><iframe srcdoc="<script>alert(1)</script>"></iframe>'),
+      '<img src="a.png"><iframe></iframe>'
+    );
+  });
+
+  await t.test('strict mode strips script URLs however they are disguised', () => {
+    assert.equal(Sanitizer.sanitize('<a href=" java\tscript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(Sanitizer.sanitize('<a href="VBScript:msgbox(1)">x</a>'), '<a>x</a>');
+    assert.equal(Sanitizer.sanitize('<img srcset="a.png 1x, javascript:alert(1) 2x">'), '<img>');
+    assert.equal(
+      Sanitizer.sanitize('<svg><a><set attributeName="href" to="javascript:alert(1)"></set>x</a></svg>'),
+      '<svg><a><set attributeName="href"></set>x</a></svg>'
+    );
+    assert.equal(Sanitizer.sanitize('<a href="/javascript-tips">x</a>'), '<a href="/javascript-tips">x</a>');
+  });
+
+  await t.test('dropped tags go with their content, even when every tag is allowed', () => {
+    assert.equal(
+      Sanitizer.sanitize('<p>a<script>alert(1)</script><base href="//evil"><meta http-equiv="refresh">b</p>'),
+      '<p>ab</p>'
+    );
+  });
+
+  await t.test('comments are removed', () => {
+    assert.equal(Sanitizer.sanitize('<!-- note --><p>a</p>'), '<p>a</p>');
+  });
+
+  await t.test('tags outside an allow-list are unwrapped', () => {
+    const tight = { enabled: true, strict: true, allowedTags: ['p', 'b'], droppedTags: ['script'], allowedAttributes: { '*': ['class', 'data-*'] } };
+    assert.equal(
+      Sanitizer.sanitize('<p class="x" style="color:red" data-id="1"><span>a <b>b</b></span><script>c</script></p>', tight),
+      '<p class="x" data-id="1">a <b>b</b></p>'
+    );
+  });
+
+  await t.test('without strict mode, allowed event handlers stay', () => {
+    const relaxed = { enabled: true, strict: false, allowedTags: '*', droppedTags: [], allowedAttributes: { '*': '*' } };
+    assert.equal(Sanitizer.sanitize('<p onclick="go()">a</p>', relaxed), '<p onclick="go()">a</p>');
+  });
+
+  await t.test('a disabled policy leaves the HTML alone', () => {
+    const html = '<p onclick="go()">a<script>b</script></p>';
+    assert.equal(Sanitizer.sanitize(html, { enabled: false }), html);
+  });
+
+  await t.test('allowScripts keeps scripts but still strips handlers', () => {
+    const policy = Sanitizer.allowScripts({ enabled: true, strict: true, allowedTags: '*', droppedTags: ['script', 'base'], allowedAttributes: { '*': '*' } });
+    assert.equal(
+      Sanitizer.sanitize('<script src="/a.js"></script><p onclick="go()">a</p><base href="/">', policy),
+      '<script src="/a.js"></script><p>a</p>'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobalSnippets, version } = require('./helpers');
+
+test('Schedules', async t => {
+  const { Utils, StorageManager, storage, close } = await loadGlobalSnippets({ config: { scheduleTimezone: 'Asia/Tokyo' } });
+  t.after(close);
+
+  await t.test('wall-clock times are read in the given zone', () => {
+    assert.equal(Utils.parseScheduleTime('2025-07-01T09:00', 'America/New_York'), Date.UTC(2025, 6, 1, 13));
+    assert.equal(Utils.parseScheduleTime('2025-01-15T09:00', 'America/New_York'), Date.UTC(2025, 0, 15, 14));
+    assert.equal(Utils.parseScheduleTime('2025-07-01T09:00:30', 'Europe/London'), Date.UTC(2025, 6, 1, 8, 0, 30));
+  });
+
+  await t.test('times around a DST changeover use the offset in force then', () => {
+    // New York moved to EDT at 02:00 on 9 March 2025, and back to EST at 02:00 on 2 November
+    assert.equal(Utils.parseScheduleTime('2025-03-09T03:30', 'America/New_York'), Date.UTC(2025, 2, 9, 7, 30));
+    assert.equal(Utils.parseScheduleTime('2025-03-09T01:30', 'America/New_York'), Date.UTC(2025, 2, 9, 6, 30));
+    assert.equal(Utils.parseScheduleTime('2025-11-02T03:30', 'America/New_York'), Date.UTC(2025, 10, 2, 8, 30));
+  });
+
+  await t.test('times with an offset ignore the zone', () => {
+    assert.equal(Utils.parseScheduleTime('2025-07-01T09:00Z', 'America/New_York'), Date.UTC(2025, 6, 1, 9));
+    assert.equal(Utils.parseScheduleTime('2025-07-01T09:00+02:00', 'America/New_York'), Date.UTC(2025, 6, 1, 7));
+  });
+
+  await t.test('empty and malformed times give null', () => {
+    assert.equal(Utils.parseScheduleTime('', 'Europe/London'), null);
+    assert.equal(Utils.parseScheduleTime('next tuesday', 'Europe/London'), null);
+  });
+
+  await t.test('only zones the browser knows are valid', () => {
+    assert.equal(Utils.isValidTimeZone('Europe/London'), true);
+    assert.equal(Utils.isValidTimeZone('Mars/Olympus_Mons'), false);
+  });
+
+  await t.test('versions without a zone of their own use scheduleTimezone', () => {
+    const { start } = StorageManager.scheduleWindow({ publishAt: '2025-07-01T09:00' });
+    assert.equal(start, Date.UTC(2025, 6, 1, 0));
+  });
+
+  await t.test('the live version follows the open windows', () => {
+    const snippet = {
+      id: 'banner',
+      versions: [
+        version('v1', 1, 'Regular'),
+        version('v2', 2, 'Sale', { publishAt: '2025-11-28T00:00', expiresAt: '2025-12-01T00:00', timezone: 'America/New_York' })
+      ],
+      currentVersion: 1,
+      publishedVersion: 'v1'
+    };
+    const at = iso => Date.parse(iso);
+
+    assert.equal(StorageManager.activeVersion(snippet, at('2025-11-28T04:59:59Z')).id, 'v1');
+    assert.equal(StorageManager.activeVersion(snippet, at('2025-11-28T05:00:00Z')).id, 'v2');
+    assert.equal(StorageManager.activeVersion(snippet, at('2025-12-01T05:00:00Z')).id, 'v1');
+
+    snippet.versions[0].expiresAt = '2026-01-01T00:00Z';
+    assert.equal(StorageManager.activeVersion(snippet, at('2026-01-02T00:00:00Z')), null);
+  });
+
+  await t.test('scheduleVersion checks the zone and the window before saving', async () => {
+    storage.cache.banner = {
+      id: 'banner',
+      versions: [version('v1', 1, 'Regular'), version('v2', 2, 'Sale')],
+      currentVersion: 1,
+      publishedVersion: 'v1'
+    };
+
+    await assert.rejects(
+      storage.scheduleVersion('banner', 'v2', { publishAt: '2025-11-28T00:00', timezone: 'America/Gotham' }),
+      /Unknown time zone "America\/Gotham"/
+    );
+    await assert.rejects(
+      storage.scheduleVersion('banner', 'v2', { publishAt: '2025-12-01T00:00', expiresAt: '2025-11-28T00:00' }),
+      /The expiry must be after the publish time/
+    );
+    assert.equal(storage.cache.banner.versions[1].publishAt, undefined);
+
+    const scheduled = await storage.scheduleVersion('banner', 'v2', { publishAt: '2025-11-28T00:00', timezone: 'Europe/Paris' });
+    assert.equal(scheduled.publishAt, '2025-11-28T00:00');
+    assert.equal(scheduled.timezone, 'Europe/Paris');
+  });
+});
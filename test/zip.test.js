@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobalSnippets, version, plain } = require('./helpers');
+
+test('Zip', async t => {
+  const { Zip, ImportExport, window, close } = await loadGlobalSnippets();
+  t.after(close);
+
+  await t.test('crc32 matches the standard check value', () => {
+    assert.equal(Zip.crc32(new window.TextEncoder().encode('123456789')), 0xcbf43926);
+  });
+
+  await t.test('files come back as they were written', async () => {
+    const files = {
+      'manifest.json': '{"a":1}',
+      'hero/snippet.html': '<p>Grüße, 你好 🎉</p>',
+      'hero/versions/1.html': '',
+      'über/snippet.html': '<p>x</p>'
+    };
+    const bytes = Zip.create(files, new Date(2025, 0, 2, 3, 4, 6));
+
+    assert.ok(Zip.isZip(bytes));
+    assert.deepEqual(plain(await Zip.read(bytes)), files);
+  });
+
+  await t.test('the same files always give the same bytes', () => {
+    const date = new Date(2025, 5, 1);
+    assert.deepEqual(Zip.create({ 'a.html': 'a' }, date), Zip.create({ 'a.html': 'a' }, date));
+  });
+
+  await t.test('damaged archives are rejected', async () => {
+    const bytes = Zip.create({ 'a.html': 'hello' });
+    bytes[30 + 'a.html'.length] ^= 0xff;
+    await assert.rejects(Zip.read(bytes), /a\.html is damaged/);
+    await assert.rejects(Zip.read(new Uint8Array(40)), /Not a zip archive/);
+  });
+
+  await t.test('an export archive imports as the same snippets', async () => {
+    const snippets = {
+      'site-footer': {
+        id: 'site-footer',
+        versions: [version('v1', 1, '<p>Old</p>'), version('v2', 2, '<p>New</p>', { pinned: true })],
+        currentVersion: 1,
+        publishedVersion: 'v1',
+        folder: 'Layout',
+        tags: ['legal'],
+        translations: { fr: { html: '<p>Nouveau</p>', timestamp: '2025-01-01T00:00:00.000Z', author: 'test' } },
+        publishedTranslations: { fr: { html: '<p>Ancien</p>', timestamp: '2025-01-01T00:00:00.000Z', author: 'test' } },
+        revision: 'r7',
+        syncedVersion: 'v2'
+      },
+      // Names that differ only in case still get folders of their own
+      Promo: { id: 'Promo', versions: [version('p1', 1, '<b>A</b>')], currentVersion: 0, publishedVersion: 'p1' },
+      promo: { id: 'promo', versions: [version('q1', 1, '<b>B</b>')], currentVersion: 0, publishedVersion: 'q1' }
+    };
+
+    const files = await Zip.read(ImportExport.createArchive(snippets));
+    assert.ok(files['site-footer/snippet.html']);
+    assert.ok(files['site-footer/versions/1.html']);
+    assert.ok(files['site-footer/translations/live/fr.html']);
+    assert.equal(files['Promo/snippet.html'], '<b>A</b>');
+    assert.equal(files['promo~2/snippet.html'], '<b>B</b>');
+
+    const imported = ImportExport.readArchive(files);
+    assert.deepEqual(plain(imported.errors), {});
+    assert.deepEqual(plain(imported.warnings), {});
+    assert.deepEqual(plain(imported.snippets), plain(ImportExport.createEnvelope(snippets).snippets));
+    assert.equal(imported.snippets['site-footer'].revision, undefined);
+  });
+
+  await t.test('an archive zipped inside a folder still imports', async () => {
+    const snippets = { a: { id: 'a', versions: [version('v1', 1, '<p>a</p>')], currentVersion: 0, publishedVersion: 'v1' } };
+    const nested = {};
+    Object.entries(await Zip.read(ImportExport.createArchive(snippets))).forEach(([path, text]) => {
+      nested[`backup/${path}`] = text;
+    });
+
+    const imported = ImportExport.readArchive(nested);
+    assert.deepEqual(plain(imported.errors), {});
+    assert.equal(imported.snippets.a.versions[0].html, '<p>a</p>');
+  });
+
+  await t.test('a missing file is reported against its snippet', async () => {
+    const snippets = { a: { id: 'a', versions: [version('v1', 1, '<p>a</p>')], currentVersion: 0, publishedVersion: 'v1' } };
+    const files = await Zip.read(ImportExport.createArchive(snippets));
+    delete files['a/snippet.html'];
+
+    const imported = ImportExport.readArchive(files);
+    assert.match(imported.errors.a[0], /Missing file a\/snippet\.html/);
+  });
+});